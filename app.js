@@ -4,11 +4,15 @@
  */
 
 import { ColorUtil } from './core/ColorUtil.js';
-import { colorHarmonies, getHarmonyDescription } from './core/ColorHarmonies.js';
-import { StateManager, stateManager } from './core/StateManager.js';
-import { PaletteGenerator } from './generators/PaletteGenerator.js';
+import { normalizeColor, ColorParseError } from './core/ColorParser.js';
+import { colorHarmonies, getHarmonyDescription, getAvailableHarmonyTypes, getHarmonyLabel, parseHarmonyOffsets, DEFAULT_HARMONY_ANGLE } from './core/ColorHarmonies.js';
+import { StateManager, stateManager, SURFACE_NAME_PATTERN } from './core/StateManager.js';
+import { PaletteGenerator, createVariationSeed } from './generators/PaletteGenerator.js';
+import { TonalRampGenerator } from './generators/TonalRampGenerator.js';
 import { UIComponents } from './ui/UIComponents.js';
+import { ColorEditor } from './ui/ColorEditor.js';
 import { ExportManager } from './utils/ExportManager.js';
+import { parseDesignTokens, DesignTokenError } from './utils/DesignTokenImporter.js';
 import { HistoryManager } from './utils/HistoryManager.js';
 import { AccessibilityUtils } from './utils/AccessibilityUtils.js';
 
@@ -19,7 +23,15 @@ class ColorPaletteApp {
     constructor() {
         this.stateManager = stateManager;
         this.paletteGenerator = new PaletteGenerator();
+        this.tonalRampGenerator = new TonalRampGenerator();
         this.uiComponents = new UIComponents();
+        this.colorEditor = new ColorEditor(this.uiComponents, {
+            onInput: (paletteType, index, color) => this.stateManager.setPaletteColor(paletteType, index, color),
+            onCommit: (paletteType, index, color) => this.handleColorEditCommit(paletteType, index, color),
+            onSnap: (paletteType, index, color) => this.handleColorEditSnap(paletteType, index, color),
+            onClose: (paletteType, index) => this.handleColorEditorClose(paletteType, index)
+        });
+        this.lastPalettes = null; // Last generated palettes, for reports not kept in state
         this.exportManager = new ExportManager();
         this.historyManager = null;
         this.accessibilityUtils = new AccessibilityUtils();
@@ -42,6 +54,7 @@ class ColorPaletteApp {
             console.log('Initializing WCAG Color Palette Generator v0.6...');
             
             await this.waitForDOM();
+            this.populateHarmonyOptions();
             
             this.historyManager = new HistoryManager(this.stateManager);
             this.setupHistoryFunctions();
@@ -158,9 +171,14 @@ class ColorPaletteApp {
         // Existing global functions...
         window.generatePalette = () => this.generatePalette();
         window.exportPalette = (format) => this.handleExport(format);
+        window.importDesignTokens = () => document.getElementById('tokenImportInput')?.click();
         window.updateBaseColorPreview = (color) => this.uiComponents.updateBaseColorPreview(color);
         window.showKeyboardShortcuts = () => this.accessibilityUtils.showKeyboardShortcuts();
         window.showAccessibilityInfo = () => this.accessibilityUtils.showAccessibilityInfo();
+        window.toggleColorLock = (index) => this.handleColorLockToggle(index);
+        window.openColorEditor = (paletteType, index) => this.handleColorEditorToggle(paletteType, index);
+        window.shufflePalette = () => this.handleShuffle();
+        window.resetVariation = () => this.handleResetVariation();
         
         window.colorPaletteApp = this;
     }
@@ -251,6 +269,19 @@ class ColorPaletteApp {
         return new Date(timestamp).toLocaleDateString();
     }
 
+    /**
+     * Fill the harmony select from the registered harmony types
+     */
+    populateHarmonyOptions() {
+        const select = document.getElementById('harmonyType');
+        if (!select) return;
+
+        const selected = this.stateManager.getState('settings').harmonyType;
+        select.innerHTML = getAvailableHarmonyTypes().map(type =>
+            `<option value="${type}"${type === selected ? ' selected' : ''}>${getHarmonyLabel(type)}</option>`
+        ).join('');
+    }
+
     /**
      * Load initial settings from form
      */
@@ -268,15 +299,172 @@ class ColorPaletteApp {
             paletteSize: parseInt(document.getElementById('paletteSize')?.value || 5),
             wcagLevel: document.getElementById('wcagLevel')?.value || 'AA',
             harmonyType: document.getElementById('harmonyType')?.value || 'triadic',
+            harmonyAngle: parseInt(document.getElementById('harmonyAngle')?.value || DEFAULT_HARMONY_ANGLE),
+            harmonySpace: document.getElementById('harmonySpace')?.value || 'hsl',
+            harmonyOffsets: parseHarmonyOffsets(document.getElementById('harmonyOffsets')?.value) ||
+                this.stateManager.getState('settings').harmonyOffsets,
             baseColor: document.getElementById('baseColor')?.value || '#5500AA',
+            optimizationMode: document.getElementById('optimizationMode')?.value || 'hsl',
+            contrastMethod: document.getElementById('contrastMethod')?.value || 'wcag2',
+            apcaTarget: parseInt(document.getElementById('apcaTarget')?.value || 60),
+            lightBackground: document.getElementById('lightBackground')?.value || '#ffffff',
+            darkBackground: document.getElementById('darkBackground')?.value || '#2c3e50',
+            tonalRampsEnabled: document.getElementById('tonalRampsEnabled')?.checked ?? false,
+            displayP3Enabled: document.getElementById('displayP3Enabled')?.checked ?? false,
+            semanticRolesEnabled: document.getElementById('semanticRolesEnabled')?.checked ?? false,
+            cvdSimulation: document.getElementById('cvdSimulation')?.value || 'none',
+            cvdSeverity: parseInt(document.getElementById('cvdSeverity')?.value ?? 100),
+            surfaces: {
+                light: this.parseSurfaceList(document.getElementById('lightSurfaces')?.value),
+                dark: this.parseSurfaceList(document.getElementById('darkSurfaces')?.value)
+            },
             differentiationSettings: {
                 enabled: document.getElementById('differentiationEnabled')?.checked ?? true,
                 minHueDifference: 60,        // Fixed maximum value
-                minLuminanceDifference: 30   // Fixed maximum value
+                minLuminanceDifference: 30,  // Fixed maximum value
+                minDeltaE: 10,               // Fixed pairwise ΔE target
+                deltaEMethod: document.getElementById('deltaEMethod')?.value || 'ok'
             }
         };
     }
 
+    /**
+     * Parse a surface list such as "card:#f5f5f5, banner:#e8f0fe".
+     * Entries with an invalid color or name (see SURFACE_NAME_PATTERN) are skipped.
+     * @param {string} text - Comma separated name:#hex pairs
+     * @returns {Object[]} Surfaces as {name, color}
+     */
+    parseSurfaceList(text) {
+        if (!text) return [];
+
+        return text.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map((entry, index) => {
+                const [name, color] = entry.includes(':') ?
+                    entry.split(':').map(part => part.trim()) :
+                    [`surface-${index + 1}`, entry];
+                return { name, color: (color || '').toLowerCase() };
+            })
+            .filter(surface => /^#[0-9a-f]{6}$/.test(surface.color) && SURFACE_NAME_PATTERN.test(surface.name));
+    }
+
+    /**
+     * Format a surface list for its text input
+     * @param {Object[]} surfaces - Surfaces as {name, color}
+     * @returns {string} Comma separated name:#hex pairs
+     */
+    formatSurfaceList(surfaces) {
+        return (surfaces || []).map(surface => `${surface.name}:${surface.color}`).join(', ');
+    }
+
+    /**
+     * Update surface text inputs from settings
+     * @param {Object} surfaces - Object with light and dark surface arrays
+     */
+    updateSurfaceInputs(surfaces) {
+        if (!surfaces) return;
+
+        const lightInput = document.getElementById('lightSurfaces');
+        const darkInput = document.getElementById('darkSurfaces');
+        if (lightInput) lightInput.value = this.formatSurfaceList(surfaces.light);
+        if (darkInput) darkInput.value = this.formatSurfaceList(surfaces.dark);
+    }
+
+    /**
+     * Update tonal ramp toggle from settings
+     */
+    updateTonalRampToggle(enabled) {
+        const toggle = document.getElementById('tonalRampsEnabled');
+        if (toggle && typeof enabled === 'boolean') {
+            toggle.checked = enabled;
+        }
+    }
+
+    /**
+     * Update Display P3 toggle from settings
+     */
+    updateDisplayP3Toggle(enabled) {
+        const toggle = document.getElementById('displayP3Enabled');
+        if (toggle && typeof enabled === 'boolean') {
+            toggle.checked = enabled;
+        }
+    }
+
+    /**
+     * Update semantic roles toggle from settings
+     */
+    updateSemanticRolesToggle(enabled) {
+        const toggle = document.getElementById('semanticRolesEnabled');
+        if (toggle && typeof enabled === 'boolean') {
+            toggle.checked = enabled;
+        }
+    }
+
+    /**
+     * Show the active variation seed, or hide the readout for the unvaried palette
+     */
+    updateVariationInfo(seed) {
+        const info = document.getElementById('variationInfo');
+        const value = document.getElementById('variationSeedValue');
+        if (!info || !value) return;
+
+        info.classList.toggle('d-none', !seed);
+        value.textContent = seed ? `#${seed}` : '';
+    }
+
+    /**
+     * Show the controls of the selected harmony (rectangle angle, custom hue offsets) and sync their values
+     */
+    updateHarmonyControls({ harmonyType, harmonyAngle, harmonyOffsets }) {
+        const angleGroup = document.getElementById('harmonyAngleGroup');
+        const angleLabel = document.getElementById('harmonyAngleValue');
+        const offsetsGroup = document.getElementById('harmonyOffsetsGroup');
+        const offsetsInput = document.getElementById('harmonyOffsets');
+
+        if (angleGroup) {
+            angleGroup.hidden = harmonyType !== 'double-complementary';
+        }
+        if (angleLabel && typeof harmonyAngle === 'number') {
+            angleLabel.textContent = `${harmonyAngle}°`;
+        }
+        if (offsetsGroup) {
+            offsetsGroup.hidden = harmonyType !== 'custom';
+        }
+        // Don't rewrite the field while the user is typing in it
+        if (offsetsInput && Array.isArray(harmonyOffsets) && document.activeElement !== offsetsInput) {
+            offsetsInput.value = harmonyOffsets.join(', ');
+            offsetsInput.classList.remove('is-invalid');
+        }
+    }
+
+    /**
+     * Validate the custom hue offsets field and regenerate when it parses
+     */
+    handleHarmonyOffsetsInput(value) {
+        const input = document.getElementById('harmonyOffsets');
+        const offsets = parseHarmonyOffsets(value);
+        const isValid = offsets !== null && offsets.length > 0 && offsets.length < 12;
+
+        if (input) {
+            input.classList.toggle('is-invalid', !isValid);
+            input.setAttribute('aria-invalid', String(!isValid));
+        }
+        if (isValid) {
+            this.debouncedSettingsChange();
+        }
+    }
+
+    /**
+     * Update the severity readout next to the simulation slider
+     */
+    updateCVDSeverityLabel(severity) {
+        const label = document.getElementById('cvdSeverityValue');
+        if (label && typeof severity === 'number') {
+            label.textContent = `${severity}%`;
+        }
+    }
+
     /**
      * Update form from settings object (simplified)
      */
@@ -285,7 +473,16 @@ class ColorPaletteApp {
             paletteSize: document.getElementById('paletteSize'),
             wcagLevel: document.getElementById('wcagLevel'),
             harmonyType: document.getElementById('harmonyType'),
+            harmonyAngle: document.getElementById('harmonyAngle'),
+            harmonySpace: document.getElementById('harmonySpace'),
             baseColor: document.getElementById('baseColor'),
+            optimizationMode: document.getElementById('optimizationMode'),
+            contrastMethod: document.getElementById('contrastMethod'),
+            apcaTarget: document.getElementById('apcaTarget'),
+            lightBackground: document.getElementById('lightBackground'),
+            darkBackground: document.getElementById('darkBackground'),
+            cvdSimulation: document.getElementById('cvdSimulation'),
+            cvdSeverity: document.getElementById('cvdSeverity'),
             differentiationEnabled: document.getElementById('differentiationEnabled')
         };
 
@@ -298,10 +495,17 @@ class ColorPaletteApp {
             }
         });
 
-        // Update differentiation settings (only enabled flag)
-        if (settings.differentiationSettings && elements.differentiationEnabled) {
-            elements.differentiationEnabled.checked = settings.differentiationSettings.enabled;
-            this.updateDifferentiationStatus(settings.differentiationSettings.enabled);
+        this.updateSurfaceInputs(settings.surfaces);
+        this.updateTonalRampToggle(settings.tonalRampsEnabled);
+        this.updateDisplayP3Toggle(settings.displayP3Enabled);
+        this.updateSemanticRolesToggle(settings.semanticRolesEnabled);
+        this.updateVariationInfo(settings.variationSeed);
+        this.updateCVDSeverityLabel(settings.cvdSeverity);
+        this.updateHarmonyControls(settings);
+
+        // Update differentiation settings (enabled flag and ΔE metric)
+        if (settings.differentiationSettings) {
+            this.updateDifferentiationUI(settings.differentiationSettings);
         }
 
         // Update base color preview
@@ -333,7 +537,16 @@ class ColorPaletteApp {
             paletteSize: document.getElementById('paletteSize'),
             wcagLevel: document.getElementById('wcagLevel'),
             harmonyType: document.getElementById('harmonyType'),
-            baseColor: document.getElementById('baseColor')
+            harmonyAngle: document.getElementById('harmonyAngle'),
+            harmonySpace: document.getElementById('harmonySpace'),
+            baseColor: document.getElementById('baseColor'),
+            optimizationMode: document.getElementById('optimizationMode'),
+            contrastMethod: document.getElementById('contrastMethod'),
+            apcaTarget: document.getElementById('apcaTarget'),
+            lightBackground: document.getElementById('lightBackground'),
+            darkBackground: document.getElementById('darkBackground'),
+            cvdSimulation: document.getElementById('cvdSimulation'),
+            cvdSeverity: document.getElementById('cvdSeverity')
         };
 
         Object.entries(settings).forEach(([key, value]) => {
@@ -344,6 +557,13 @@ class ColorPaletteApp {
             }
         });
 
+        this.updateSurfaceInputs(settings.surfaces);
+        this.updateTonalRampToggle(settings.tonalRampsEnabled);
+        this.updateDisplayP3Toggle(settings.displayP3Enabled);
+        this.updateSemanticRolesToggle(settings.semanticRolesEnabled);
+        this.updateVariationInfo(settings.variationSeed);
+        this.updateCVDSeverityLabel(settings.cvdSeverity);
+        this.updateHarmonyControls(settings);
         this.updateDifferentiationUI(settings.differentiationSettings);
         this.uiComponents.updateBaseColorPreview(settings.baseColor);
     }
@@ -353,10 +573,14 @@ class ColorPaletteApp {
      */
     updateDifferentiationUI(differentiationSettings) {
         const enabledToggle = document.getElementById('differentiationEnabled');
+        const deltaEMethodSelect = document.getElementById('deltaEMethod');
 
         if (enabledToggle) {
             enabledToggle.checked = differentiationSettings.enabled;
         }
+        if (deltaEMethodSelect) {
+            deltaEMethodSelect.value = differentiationSettings.deltaEMethod || 'ok';
+        }
 
         this.updateDifferentiationStatus(differentiationSettings.enabled);
     }
@@ -366,7 +590,7 @@ class ColorPaletteApp {
      */
     setupEventListeners() {
         // Basic form controls
-        const controlIds = ['paletteSize', 'wcagLevel', 'harmonyType'];
+        const controlIds = ['paletteSize', 'wcagLevel', 'harmonyType', 'harmonySpace', 'optimizationMode', 'contrastMethod', 'apcaTarget'];
         controlIds.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
@@ -374,6 +598,24 @@ class ColorPaletteApp {
             }
         });
 
+        // Rectangle angle for double-complementary harmonies
+        const harmonyAngleInput = document.getElementById('harmonyAngle');
+        if (harmonyAngleInput) {
+            harmonyAngleInput.addEventListener('input', () => {
+                this.updateHarmonyControls({
+                    harmonyType: this.stateManager.getState('settings').harmonyType,
+                    harmonyAngle: parseInt(harmonyAngleInput.value)
+                });
+                this.debouncedSettingsChange();
+            });
+        }
+
+        // Hue offsets of the custom harmony
+        const harmonyOffsetsInput = document.getElementById('harmonyOffsets');
+        if (harmonyOffsetsInput) {
+            harmonyOffsetsInput.addEventListener('input', () => this.handleHarmonyOffsetsInput(harmonyOffsetsInput.value));
+        }
+
         // Base color with debouncing
         const baseColorInput = document.getElementById('baseColor');
         if (baseColorInput) {
@@ -383,10 +625,94 @@ class ColorPaletteApp {
             });
         }
 
+        // Base color text field accepts any CSS color format
+        const baseColorText = document.getElementById('baseColorText');
+        if (baseColorText) {
+            baseColorText.addEventListener('input', () => this.handleBaseColorText(baseColorText.value));
+            baseColorText.addEventListener('blur', () => {
+                const baseColor = this.stateManager.getState('settings.baseColor');
+                if (!baseColorText.classList.contains('is-invalid') && baseColor) {
+                    this.uiComponents.updateBaseColorPreview(baseColor);
+                }
+            });
+        }
+
+        // Background colors and surface lists with debouncing
+        ['lightBackground', 'darkBackground', 'lightSurfaces', 'darkSurfaces'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('input', () => this.debouncedSettingsChange());
+            }
+        });
+
+        // Tonal ramps toggle (display only, no history entry)
+        const tonalRampsToggle = document.getElementById('tonalRampsEnabled');
+        if (tonalRampsToggle) {
+            tonalRampsToggle.addEventListener('change', () => {
+                this.stateManager.updateSettings({ tonalRampsEnabled: tonalRampsToggle.checked });
+                this.generatePaletteWithoutHistory();
+            });
+        }
+
+        // Display P3 variants toggle (adds variants only, no history entry)
+        const displayP3Toggle = document.getElementById('displayP3Enabled');
+        if (displayP3Toggle) {
+            displayP3Toggle.addEventListener('change', () => {
+                this.stateManager.updateSettings({ displayP3Enabled: displayP3Toggle.checked });
+                this.generatePaletteWithoutHistory();
+            });
+        }
+
+        const semanticRolesToggle = document.getElementById('semanticRolesEnabled');
+        if (semanticRolesToggle) {
+            semanticRolesToggle.addEventListener('change', () => {
+                this.stateManager.updateSettings({ semanticRolesEnabled: semanticRolesToggle.checked });
+                this.generatePaletteWithoutHistory();
+            });
+        }
+
+        // Color vision deficiency simulation (display only, no history entry)
+        ['cvdSimulation', 'cvdSeverity'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('input', () => this.handleCVDSimulationChange());
+            }
+        });
+
+        // Design token import (file picked from the export menu)
+        const tokenImportInput = document.getElementById('tokenImportInput');
+        if (tokenImportInput) {
+            tokenImportInput.addEventListener('change', () => {
+                const file = tokenImportInput.files[0];
+                tokenImportInput.value = '';
+                if (file) this.handleTokenImport(file);
+            });
+        }
+
         // Differentiation toggle (simplified - no sliders)
         this.setupDifferentiationEventListeners();
     }
 
+    /**
+     * Handle a typed or pasted base color in any CSS color format
+     * @param {string} value - Raw text field value
+     */
+    handleBaseColorText(value) {
+        try {
+            const hex = normalizeColor(value);
+            this.uiComponents.setBaseColorError(null);
+
+            const baseColorInput = document.getElementById('baseColor');
+            if (baseColorInput) baseColorInput.value = hex;
+
+            this.uiComponents.updateBaseColorPreview(hex);
+            this.debouncedSettingsChange();
+        } catch (error) {
+            if (!(error instanceof ColorParseError)) throw error;
+            this.uiComponents.setBaseColorError(error.message);
+        }
+    }
+
     /**
      * Setup differentiation event listeners (simplified - toggle only)
      */
@@ -395,6 +721,11 @@ class ColorPaletteApp {
         if (enabledToggle) {
             enabledToggle.addEventListener('change', () => this.handleDifferentiationChange());
         }
+
+        const deltaEMethodSelect = document.getElementById('deltaEMethod');
+        if (deltaEMethodSelect) {
+            deltaEMethodSelect.addEventListener('change', () => this.handleDifferentiationChange());
+        }
     }
 
     /**
@@ -422,6 +753,7 @@ class ColorPaletteApp {
         try {
             const newSettings = this.getFormSettings();
             this.stateManager.updateSettings(newSettings);
+            this.updateHarmonyControls(newSettings);
             await this.generatePalette();
         } catch (error) {
             console.error('Settings change error:', error);
@@ -436,7 +768,9 @@ class ColorPaletteApp {
         const differentiationSettings = {
             enabled: document.getElementById('differentiationEnabled')?.checked ?? true,
             minHueDifference: 60,        // Fixed maximum value
-            minLuminanceDifference: 30   // Fixed maximum value
+            minLuminanceDifference: 30,  // Fixed maximum value
+            minDeltaE: 10,               // Fixed pairwise ΔE target
+            deltaEMethod: document.getElementById('deltaEMethod')?.value || 'ok'
         };
         
         this.stateManager.updateDifferentiationSettings(differentiationSettings);
@@ -457,10 +791,10 @@ class ColorPaletteApp {
         try {
             await new Promise(resolve => setTimeout(resolve, 50));
             
-            const palettes = this.paletteGenerator.generatePalette(settings);
+            const palettes = this.createPalettes(settings);
             
             this.stateManager.setPalettes(palettes);
-            this.displayPalettes(palettes, settings.wcagLevel);
+            this.displayPalettes(palettes, settings);
             
             const harmonyDescription = getHarmonyDescription(settings.harmonyType);
             this.uiComponents.updateHarmonyInfo(settings.harmonyType, harmonyDescription);
@@ -499,10 +833,10 @@ class ColorPaletteApp {
         try {
             await new Promise(resolve => setTimeout(resolve, 50));
             
-            const palettes = this.paletteGenerator.generatePalette(settings);
+            const palettes = this.createPalettes(settings);
             
             this.stateManager.setPalettes(palettes);
-            this.displayPalettes(palettes, settings.wcagLevel);
+            this.displayPalettes(palettes, settings);
             
             const harmonyDescription = getHarmonyDescription(settings.harmonyType);
             this.uiComponents.updateHarmonyInfo(settings.harmonyType, harmonyDescription);
@@ -518,33 +852,311 @@ class ColorPaletteApp {
         }
     }
 
+    /**
+     * Handle color vision deficiency simulation change - re-render without adding to history
+     */
+    handleCVDSimulationChange() {
+        const cvdSimulation = document.getElementById('cvdSimulation')?.value || 'none';
+        const cvdSeverity = parseInt(document.getElementById('cvdSeverity')?.value ?? 100);
+
+        this.stateManager.updateSettings({ cvdSimulation, cvdSeverity });
+        this.updateCVDSeverityLabel(cvdSeverity);
+        this.generatePaletteWithoutHistory();
+    }
+
+    /**
+     * Generate palettes and, when enabled, tonal ramps for the base colors
+     */
+    createPalettes(settings) {
+        const palettes = this.paletteGenerator.generatePalette(settings);
+        palettes.tonalRamps = settings.tonalRampsEnabled ?
+            this.tonalRampGenerator.generateRamps(palettes.base, settings) :
+            [];
+        return palettes;
+    }
+
     /**
      * Display generated palettes
      */
-    displayPalettes(palettes, wcagLevel) {
-        this.uiComponents.displayBasePalette(palettes.base, wcagLevel);
+    displayPalettes(palettes, settings) {
+        this.lastPalettes = palettes;
+        this.colorEditor.reset();
+        this.uiComponents.setCVDSimulation(settings.cvdSimulation, (settings.cvdSeverity ?? 100) / 100);
+        // Tonal ramps under the base palette format contrast with the current method
+        this.uiComponents.setContrastMethod(settings.contrastMethod, settings.wcagLevel, settings.apcaTarget);
+        this.uiComponents.displayBasePalette(
+            palettes.base,
+            settings.wcagLevel,
+            palettes.tonalRamps,
+            settings.lockedColors
+        );
         this.uiComponents.displayOptimizedPalettes(
             palettes.base,
             palettes.lightOptimized,
             palettes.darkOptimized,
-            wcagLevel
+            settings.wcagLevel,
+            {
+                method: settings.contrastMethod,
+                apcaTarget: settings.apcaTarget,
+                backgrounds: {
+                    light: settings.lightBackground,
+                    dark: settings.darkBackground
+                },
+                surfaces: palettes.surfaces,
+                differentiationReport: palettes.differentiationReport,
+                minDeltaE: settings.differentiationSettings?.minDeltaE,
+                deltaEMethod: settings.differentiationSettings?.deltaEMethod,
+                translucent: palettes.translucent,
+                p3: palettes.p3
+            }
         );
+        this.uiComponents.displaySemanticRoles(palettes.roles || null);
     }
 
     /**
-     * Handle export
+     * Shuffle: regenerate with a new variation seed. The seed is stored in settings and
+     * therefore in history, so any shuffled palette can be reproduced.
      */
-    handleExport(format) {
-        const palettes = {
+    async handleShuffle() {
+        const variationSeed = createVariationSeed();
+        this.stateManager.updateSettings({ variationSeed });
+        this.updateVariationInfo(variationSeed);
+        await this.generatePalette();
+    }
+
+    /**
+     * Return to the unvaried (deterministic) palette
+     */
+    async handleResetVariation() {
+        if (!this.stateManager.getState('settings').variationSeed) return;
+
+        this.stateManager.updateSettings({ variationSeed: null });
+        this.updateVariationInfo(null);
+        await this.generatePalette();
+    }
+
+    /**
+     * Lock or unlock a base color. Locked colors keep their value on the next generation.
+     * @param {number} index - Color index
+     */
+    handleColorLockToggle(index) {
+        const color = (this.stateManager.getState('currentPalette') || [])[index];
+        if (!color) return;
+
+        const locked = this.stateManager.isColorLocked(index);
+        this.stateManager.setColorLock(index, locked ? null : color.hex);
+        this.uiComponents.updateLockButton(index, !locked);
+
+        this.showNotification(
+            locked ? `Color ${index + 1} unlocked` : `Color ${index + 1} locked at ${color.hex}`,
+            'info'
+        );
+    }
+
+    /**
+     * Open or close the inline editor for a base ('base') or optimized ('light'/'dark') color
+     * @param {string} paletteType - 'base', 'light' or 'dark'
+     * @param {number} index - Color index
+     */
+    handleColorEditorToggle(paletteType, index) {
+        if (this.colorEditor.isOpen(paletteType, index)) {
+            this.colorEditor.close();
+            return;
+        }
+        // Closing another editor re-renders the cards, so look the card up afterwards
+        this.colorEditor.close();
+
+        const palette = this.getStatePalettes()[{ base: 'base', light: 'lightOptimized', dark: 'darkOptimized' }[paletteType]];
+        const color = (palette || [])[index];
+        const card = document.querySelector(`.card[data-palette-type="${paletteType}"][data-color-index="${index}"]`);
+        if (!color || !card) return;
+
+        this.colorEditor.open(card, { paletteType, index, color });
+    }
+
+    /**
+     * Re-render the palettes with the edited colors and return focus to the edit button
+     * @param {string} paletteType - 'base', 'light' or 'dark'
+     * @param {number} index - Color index
+     */
+    handleColorEditorClose(paletteType, index) {
+        this.displayPalettes(this.getStatePalettes(), this.stateManager.getState('settings'));
+        document.querySelector(`.card[data-palette-type="${paletteType}"][data-color-index="${index}"] [data-edit-toggle]`)?.focus();
+    }
+
+    /**
+     * Store a finished color edit and refresh what depends on the color: the lock value and
+     * tonal ramp of a base color, or the translucent and Display P3 variants of an optimized one.
+     * The primary and secondary roles follow edits of the first two colors.
+     * Edits are not added to history and are replaced by the next generation unless locked.
+     * @param {string} paletteType - 'base', 'light' or 'dark'
+     * @param {number} index - Color index
+     * @param {ColorUtil} color - Edited color
+     */
+    handleColorEditCommit(paletteType, index, color) {
+        const settings = this.stateManager.getState('settings');
+        this.stateManager.setPaletteColor(paletteType, index, color);
+
+        const roles = this.stateManager.getState('semanticRoles');
+        if (roles && roles[index] && index < 2) {
+            const updatedRoles = [...roles];
+            updatedRoles[index] = { ...roles[index], [paletteType]: color };
+            this.stateManager.setPalettes({ roles: updatedRoles });
+        }
+
+        if (paletteType === 'base') {
+            if (this.stateManager.isColorLocked(index)) {
+                this.stateManager.setColorLock(index, color.hex);
+            }
+            if (settings.tonalRampsEnabled) {
+                const tonalRamps = [...(this.stateManager.getState('tonalRamps') || [])];
+                tonalRamps[index] = {
+                    name: `color-${index + 1}`,
+                    base: color.hex,
+                    steps: this.tonalRampGenerator.generateRamp(color, settings)
+                };
+                this.stateManager.setPalettes({ tonalRamps });
+            }
+            return;
+        }
+
+        const variants = this.paletteGenerator.getEditedColorVariants(color, paletteType, settings);
+        const translucent = { ...this.stateManager.getState('translucentVariants') };
+        translucent[paletteType] = [...(translucent[paletteType] || [])];
+        translucent[paletteType][index] = variants.translucent;
+
+        const p3Variants = this.stateManager.getState('p3Variants');
+        const p3 = p3Variants ? { ...p3Variants } : null;
+        if (p3 && variants.p3) {
+            p3[paletteType] = [...(p3[paletteType] || [])];
+            p3[paletteType][index] = variants.p3;
+        }
+
+        this.stateManager.setPalettes({ translucent, p3 });
+    }
+
+    /**
+     * Snap an edited color to the nearest compliant color. Optimized colors snap on their own
+     * theme; base colors snap on whichever background they are closer to passing on.
+     * @param {string} paletteType - 'base', 'light' or 'dark'
+     * @param {number} index - Color index
+     * @param {ColorUtil} color - Edited color
+     * @returns {ColorUtil} Snapped color
+     */
+    handleColorEditSnap(paletteType, index, color) {
+        const settings = this.stateManager.getState('settings');
+        let backgroundType = paletteType;
+        if (paletteType === 'base') {
+            const lightContrast = this.uiComponents.measureContrast(color, new ColorUtil(settings.lightBackground));
+            const darkContrast = this.uiComponents.measureContrast(color, new ColorUtil(settings.darkBackground));
+            backgroundType = lightContrast >= darkContrast ? 'light' : 'dark';
+        }
+
+        const size = (this.stateManager.getState('currentPalette') || []).length;
+        const snapped = this.paletteGenerator.snapToCompliant(color, backgroundType, settings, index, size);
+        this.showNotification(
+            snapped === color ?
+                `${color.hex} already meets the target on the ${backgroundType} background` :
+                `Snapped to ${snapped.hex} for the ${backgroundType} background`,
+            'info'
+        );
+        return snapped;
+    }
+
+    /**
+     * Collect the palettes kept in state, merged over the last generated reports
+     * @returns {Object} Palettes in the shape returned by createPalettes
+     */
+    getStatePalettes() {
+        return {
+            ...this.lastPalettes,
             base: this.stateManager.getState('currentPalette'),
             lightOptimized: this.stateManager.getState('lightOptimizedPalette'),
-            darkOptimized: this.stateManager.getState('darkOptimizedPalette')
+            darkOptimized: this.stateManager.getState('darkOptimizedPalette'),
+            tonalRamps: this.stateManager.getState('tonalRamps'),
+            translucent: this.stateManager.getState('translucentVariants'),
+            p3: this.stateManager.getState('p3Variants'),
+            roles: this.stateManager.getState('semanticRoles')
         };
-        
+    }
+
+    /**
+     * Handle export
+     */
+    handleExport(format) {
+        const palettes = this.getStatePalettes();
         const settings = this.stateManager.getState('settings');
         this.exportManager.exportPalette(format, palettes, settings);
     }
 
+    /**
+     * Import a design token file (DTCG) into the palettes. Settings stored by the tokens
+     * export are restored too; the imported colors are shown as-is, without re-optimizing,
+     * and are not added to history.
+     * @param {File} file - Token file
+     */
+    async handleTokenImport(file) {
+        try {
+            const imported = parseDesignTokens(await file.text());
+
+            this.stateManager.updateSettings({
+                paletteSize: imported.base.length,
+                baseColor: imported.base[0].hex,
+                variationSeed: null,
+                ...imported.settings,
+                ...(imported.backgrounds.light && { lightBackground: imported.backgrounds.light }),
+                ...(imported.backgrounds.dark && { darkBackground: imported.backgrounds.dark }),
+                semanticRolesEnabled: imported.roles !== null
+            });
+            const settings = this.stateManager.getState('settings');
+            this.updateFormFromSettings(settings);
+
+            const palettes = this.createImportedPalettes(imported, settings);
+            this.stateManager.setPalettes(palettes);
+            this.displayPalettes(palettes, settings);
+
+            this.showNotification(`Imported ${imported.base.length} colors from ${file.name}`, 'success');
+        } catch (error) {
+            if (!(error instanceof DesignTokenError)) {
+                console.error('Token import error:', error);
+            }
+            this.showErrorMessage(error instanceof DesignTokenError ?
+                `Could not import tokens: ${error.message}` :
+                'Failed to import design tokens');
+        }
+    }
+
+    /**
+     * Build palettes from imported colors, deriving what the token file does not carry
+     * (tonal ramps, translucent and Display P3 variants) from the current settings
+     * @param {Object} imported - Result of parseDesignTokens
+     * @param {Object} settings - Current settings
+     * @returns {Object} Palettes in the shape returned by createPalettes
+     */
+    createImportedPalettes(imported, settings) {
+        const { base, lightOptimized, darkOptimized, roles } = imported;
+        const variants = {
+            light: lightOptimized.map(color => this.paletteGenerator.getEditedColorVariants(color, 'light', settings)),
+            dark: darkOptimized.map(color => this.paletteGenerator.getEditedColorVariants(color, 'dark', settings))
+        };
+
+        return {
+            base,
+            lightOptimized,
+            darkOptimized,
+            tonalRamps: settings.tonalRampsEnabled ? this.tonalRampGenerator.generateRamps(base, settings) : [],
+            translucent: {
+                light: variants.light.map(variant => variant.translucent),
+                dark: variants.dark.map(variant => variant.translucent)
+            },
+            p3: settings.displayP3Enabled ? {
+                light: variants.light.map(variant => variant.p3),
+                dark: variants.dark.map(variant => variant.p3)
+            } : null,
+            roles
+        };
+    }
+
     /**
      * Show notification
      */
@@ -3,52 +3,201 @@
  * Color harmony algorithms based on color theory
  */
 
+/** Default angle between the two complementary pairs of a double-complementary harmony */
+export const DEFAULT_HARMONY_ANGLE = 60;
+
+/** Default hue offsets (degrees from the base color) of the custom harmony */
+export const DEFAULT_HARMONY_OFFSETS = [35, 150, 210];
+
+/**
+ * Registered harmonies by name: {hues, description, label, singleHue, profile}
+ */
+const harmonyRegistry = new Map();
+
 /**
  * Color harmony algorithms based on color theory
- * Generate hue relationships for different harmony types
- */
-export const colorHarmonies = {
-    /**
-     * Generate complementary color harmony (opposite colors on color wheel)
-     * @param {number} hue - Base hue value (0-360)
-     * @returns {number[]} Array of hue values
-     */
-    complementary: (hue) => [hue, (hue + 180) % 360],
-
-    /**
-     * Generate triadic color harmony (three colors 120° apart)
-     * @param {number} hue - Base hue value (0-360)
-     * @returns {number[]} Array of hue values
-     */
-    triadic: (hue) => [hue, (hue + 120) % 360, (hue + 240) % 360],
-
-    /**
-     * Generate analogous color harmony (adjacent colors on color wheel)
-     * @param {number} hue - Base hue value (0-360)
-     * @returns {number[]} Array of hue values
-     */
-    analogous: (hue) => [
-        hue, 
-        (hue + 25) % 360, 
-        (hue + 50) % 360, 
-        (hue - 25 + 360) % 360, 
+ * Generate hue relationships for different harmony types.
+ * Kept in sync with the registry, so registered harmonies appear here too.
+ */
+export const colorHarmonies = {};
+
+/**
+ * Register a harmony. Registering an existing name replaces it.
+ * @param {string} name - Harmony type name (used as the select value and in exports)
+ * @param {Object} definition - Harmony definition
+ * @param {Function} definition.hues - (baseHue, options) => number[] of hues; options carry
+ *                                     the harmony settings ({angle, offsets})
+ * @param {string} definition.description - Description shown in the harmony information panel
+ * @param {string} [definition.label] - Display label (derived from the name when omitted)
+ * @param {boolean} [definition.singleHue] - Whether all colors share one hue (uses tonal lightness ranges)
+ * @param {Function} [definition.profile] - Saturation/lightness profile: receives
+ *        {index, totalSize, base, hue, saturation, lightness, tonalLightness} with the generator
+ *        defaults and returns the {hue, saturation, lightness} values to override
+ * @throws {TypeError} When the name or definition is invalid
+ */
+export function registerHarmony(name, definition) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+        throw new TypeError(`Invalid harmony name "${name}": use lowercase letters, digits and hyphens`);
+    }
+    if (!definition || typeof definition.hues !== 'function') {
+        throw new TypeError(`Harmony "${name}" needs a hues(baseHue, options) function`);
+    }
+    if (definition.profile !== undefined && typeof definition.profile !== 'function') {
+        throw new TypeError(`Harmony "${name}" profile must be a function`);
+    }
+    if (harmonyRegistry.has(name)) {
+        console.warn(`Replacing harmony "${name}"`);
+    }
+
+    harmonyRegistry.set(name, {
+        hues: definition.hues,
+        description: definition.description || '',
+        label: definition.label || null,
+        singleHue: definition.singleHue === true,
+        profile: definition.profile || (() => ({}))
+    });
+    colorHarmonies[name] = definition.hues;
+}
+
+/**
+ * Get a registered harmony definition
+ * @param {string} harmonyType - Harmony type name
+ * @returns {Object|null} Definition, or null when not registered
+ */
+export function getHarmony(harmonyType) {
+    return harmonyRegistry.get(harmonyType) || null;
+}
+
+/**
+ * Generate complementary color harmony (opposite colors on color wheel)
+ */
+registerHarmony('complementary', {
+    hues: (hue) => [hue, (hue + 180) % 360],
+    description: "Colors opposite each other on the color wheel, creating high contrast and vibrant looks. Perfect for drawing attention and creating visual impact.",
+    // The complement is slightly richer and darker than other generated colors
+    profile: ({ index, saturation, lightness }) => index === 1 ?
+        { saturation: Math.min(85, saturation + 10), lightness: Math.max(20, lightness - 5) } :
+        {}
+});
+
+/**
+ * Generate triadic color harmony (three colors 120° apart)
+ */
+registerHarmony('triadic', {
+    hues: (hue) => [hue, (hue + 120) % 360, (hue + 240) % 360],
+    description: "Three colors evenly spaced around the color wheel (120° apart), offering strong visual contrast while retaining harmony and balance."
+});
+
+/**
+ * Generate analogous color harmony (adjacent colors on color wheel)
+ */
+registerHarmony('analogous', {
+    hues: (hue) => [
+        hue,
+        (hue + 25) % 360,
+        (hue + 50) % 360,
+        (hue - 25 + 360) % 360,
         (hue - 50 + 360) % 360
     ],
+    description: "Colors adjacent on the color wheel (25-50° apart), creating serene and comfortable designs with natural flow and subtle variations.",
+    // Neighbouring hues need lightness rather than saturation to stay apart
+    profile: ({ index, saturation, lightness }) => ({
+        saturation: Math.max(50, saturation - 5),
+        lightness: index === 2 ? Math.min(80, lightness + 10) : lightness
+    })
+});
+
+/**
+ * Generate monochromatic color harmony (same hue, different saturation/lightness)
+ */
+registerHarmony('monochromatic', {
+    hues: (hue) => [hue, hue, hue, hue, hue],
+    description: "Variations of a single hue using different lightness and saturation levels, creating sophisticated, cohesive designs with strong unity.",
+    singleHue: true,
+    profile: ({ index, totalSize, base, tonalLightness }) => {
+        // Keep the total hue drift and saturation spread bounded for large palettes
+        const hueStep = totalSize > 2 ? Math.min(10, 40 / (totalSize - 2)) : 10;
+        const saturationStep = totalSize > 2 ? Math.min(15, 60 / (totalSize - 2)) : 15;
+        return {
+            hue: (base.h + (index - 1) * hueStep) % 360,
+            saturation: Math.max(30, Math.min(90, base.s + (index - 2) * saturationStep)),
+            lightness: tonalLightness
+        };
+    }
+});
+
+/**
+ * Generate tetradic color harmony (four colors 90° apart)
+ */
+registerHarmony('tetradic', {
+    hues: (hue) => [hue, (hue + 90) % 360, (hue + 180) % 360, (hue + 270) % 360],
+    description: "Four colors forming a rectangle on the color wheel (90° apart), offering rich contrasts with balanced harmony for complex color schemes.",
+    // Alternate darker and lighter colors around the wheel
+    profile: ({ index, lightness }) => ({
+        lightness: index % 2 === 1 ? Math.max(15, lightness - 10) : Math.min(85, lightness + 10)
+    })
+});
+
+/**
+ * Generate split-complementary color harmony (base plus the two neighbours of its complement)
+ */
+registerHarmony('split-complementary', {
+    hues: (hue) => [hue, (hue + 150) % 360, (hue + 210) % 360],
+    description: "A base color plus the two colors beside its complement (150° and 210°), keeping strong contrast with less tension than a direct complement."
+});
+
+/**
+ * Generate square color harmony (four colors 90° apart, evenly weighted).
+ * Shares tetradic's hues but has no profile, so all four keep the same lightness.
+ */
+registerHarmony('square', {
+    hues: (hue) => [hue, (hue + 90) % 360, (hue + 180) % 360, (hue + 270) % 360],
+    description: "Four colors evenly spaced around the color wheel (90° apart) with equal weight. Tetradic uses the same hues but alternates light and dark; square keeps every color at the same lightness, giving bold, playful schemes that work best with one dominant color."
+});
+
+/**
+ * Generate double-complementary color harmony (two complementary pairs forming a rectangle).
+ * options.angle is the hue distance between the two pairs (default 60°).
+ */
+registerHarmony('double-complementary', {
+    hues: (hue, { angle = DEFAULT_HARMONY_ANGLE } = {}) => [
+        hue,
+        (hue + 180) % 360,
+        (hue + angle) % 360,
+        (hue + angle + 180) % 360
+    ],
+    description: "Two complementary pairs forming a rectangle on the color wheel. The angle between the pairs is adjustable; smaller angles give calmer schemes, and 90° gives square's hues."
+});
+
+/**
+ * Generate compound color harmony (base, its split complements and an analogous neighbour)
+ */
+registerHarmony('compound', {
+    hues: (hue) => [hue, (hue + 150) % 360, (hue + 30) % 360, (hue + 210) % 360],
+    description: "A base color, an analogous neighbour (30°) and the two split complements (150° and 210°), mixing harmony and contrast for richer palettes."
+});
 
-    /**
-     * Generate monochromatic color harmony (same hue, different saturation/lightness)
-     * @param {number} hue - Base hue value (0-360)
-     * @returns {number[]} Array of hue values (all same)
-     */
-    monochromatic: (hue) => [hue, hue, hue, hue, hue],
+/**
+ * Generate shades harmony (same hue and saturation, lightness only)
+ */
+registerHarmony('shades', {
+    hues: (hue) => [hue, hue, hue, hue, hue],
+    description: "A single hue at a fixed saturation, varying only lightness. The most restrained scheme, ideal for interfaces built around one brand color.",
+    singleHue: true,
+    profile: ({ base, tonalLightness }) => ({ saturation: base.s, lightness: tonalLightness })
+});
 
-    /**
-     * Generate tetradic color harmony (four colors 90° apart)
-     * @param {number} hue - Base hue value (0-360)
-     * @returns {number[]} Array of hue values
-     */
-    tetradic: (hue) => [hue, (hue + 90) % 360, (hue + 180) % 360, (hue + 270) % 360]
-};
+/**
+ * Generate custom harmony from user-defined hue offsets.
+ * options.offsets are degrees from the base hue (default 35°, 150°, 210°).
+ */
+registerHarmony('custom', {
+    hues: (hue, { offsets = DEFAULT_HARMONY_OFFSETS } = {}) => [
+        hue,
+        ...offsets.map(offset => ((hue + offset) % 360 + 360) % 360)
+    ],
+    description: "Your own color relationship: the base color plus the hue offsets you enter, for brand schemes that follow no classic rule."
+});
 
 /**
  * Get description for a harmony type
@@ -56,15 +205,8 @@ export const colorHarmonies = {
  * @returns {string} Description of the harmony
  */
 export function getHarmonyDescription(harmonyType) {
-    const descriptions = {
-        complementary: "Colors opposite each other on the color wheel, creating high contrast and vibrant looks. Perfect for drawing attention and creating visual impact.",
-        triadic: "Three colors evenly spaced around the color wheel (120° apart), offering strong visual contrast while retaining harmony and balance.",
-        analogous: "Colors adjacent on the color wheel (25-50° apart), creating serene and comfortable designs with natural flow and subtle variations.",
-        monochromatic: "Variations of a single hue using different lightness and saturation levels, creating sophisticated, cohesive designs with strong unity.",
-        tetradic: "Four colors forming a rectangle on the color wheel (90° apart), offering rich contrasts with balanced harmony for complex color schemes."
-    };
-
-    return descriptions[harmonyType] || "Unknown harmony type";
+    const harmony = getHarmony(harmonyType);
+    return harmony && harmony.description ? harmony.description : "Unknown harmony type";
 }
 
 /**
@@ -72,5 +214,27 @@ export function getHarmonyDescription(harmonyType) {
  * @returns {string[]} Array of harmony type names
  */
 export function getAvailableHarmonyTypes() {
-    return Object.keys(colorHarmonies);
+    return [...harmonyRegistry.keys()];
+}
+
+/**
+ * Get a display label for a harmony type
+ * @param {string} harmonyType - Type of harmony (e.g. 'split-complementary')
+ * @returns {string} Label (e.g. 'Split-Complementary')
+ */
+export function getHarmonyLabel(harmonyType) {
+    const harmony = getHarmony(harmonyType);
+    if (harmony && harmony.label) return harmony.label;
+    return harmonyType.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('-');
+}
+
+/**
+ * Parse hue offsets typed by the user ("35, 150, 210" or "+35 -60")
+ * @param {string} value - Offsets separated by commas or spaces
+ * @returns {number[]|null} Offsets in degrees, or null when any entry is not a number
+ */
+export function parseHarmonyOffsets(value) {
+    const tokens = String(value || '').split(/[\s,]+/).filter(Boolean);
+    const offsets = tokens.map(Number);
+    return offsets.every(Number.isFinite) ? offsets : null;
 }
\ No newline at end of file
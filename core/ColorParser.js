@@ -0,0 +1,405 @@
+/**
+ * WCAG Color Palette Generator v0.6
+ * CSS Color Module Level 4 parser
+ */
+
+/**
+ * Error thrown when a color string cannot be parsed
+ */
+export class ColorParseError extends Error {
+    /**
+     * @param {*} input - The value that failed to parse
+     * @param {string} message - Human readable reason
+     */
+    constructor(input, message) {
+        super(message);
+        this.name = 'ColorParseError';
+        this.code = 'INVALID_COLOR';
+        this.input = input;
+    }
+}
+
+/**
+ * CSS named colors (CSS Color 4, including rebeccapurple)
+ */
+export const NAMED_COLORS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+    azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+    blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+    burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+    coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+    darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+    darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+    darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+    darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+    deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+    dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+    fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+    goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+    grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+    indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+    lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+    lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+    lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+    lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+    linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+    mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+    mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+    midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+    navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+    olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+    palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+    papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+    plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+    red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+    salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+    sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+    slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+    steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+    tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+    white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+const SUPPORTED_FORMATS = 'a hex value (#rgb, #rgba, #rrggbb, #rrggbbaa), a named color, ' +
+    'or rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch() or color()';
+
+// D50 reference white and Bradford adaptation to D65 (CSS Color 4, section 18)
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const D50_TO_D65 = [
+    [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+    [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+    [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+const XYZ_D65_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+const LINEAR_P3_TO_XYZ_D65 = [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+];
+
+const multiply = (matrix, [x, y, z]) => matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+
+/**
+ * Parse any CSS Color 4 color string into sRGB.
+ * Colors outside the sRGB gamut (from lab(), oklch(), etc.) are clipped per channel.
+ * @param {string} input - Color string, e.g. "#abc", "rgb(0 128 255 / 50%)", "oklch(0.6 0.15 250)"
+ * @returns {Object} Color as {r, g, b, alpha} with channels 0-255 and alpha 0-1
+ * @throws {ColorParseError} When the input is not a valid color
+ */
+export function parseColor(input) {
+    if (typeof input !== 'string') {
+        throw new ColorParseError(input, `Expected a color string, got ${input === null ? 'null' : typeof input}`);
+    }
+
+    const value = input.trim().toLowerCase();
+    if (value === '') {
+        throw new ColorParseError(input, `Empty color value. Use ${SUPPORTED_FORMATS}.`);
+    }
+
+    if (value.startsWith('#')) {
+        return parseHex(value, input);
+    }
+    if (value === 'transparent') {
+        return { r: 0, g: 0, b: 0, alpha: 0 };
+    }
+    // Own properties only: names like "constructor" must not reach Object.prototype
+    if (Object.hasOwn(NAMED_COLORS, value)) {
+        return parseHex(NAMED_COLORS[value], input);
+    }
+
+    const match = /^([a-z-]+)\((.*)\)$/.exec(value);
+    if (!match) {
+        throw new ColorParseError(input, `Unrecognized color "${input}". Use ${SUPPORTED_FORMATS}.`);
+    }
+
+    const [, name, body] = match;
+    const parser = Object.hasOwn(FUNCTION_PARSERS, name) ? FUNCTION_PARSERS[name] : null;
+    if (!parser) {
+        throw new ColorParseError(input, `Unsupported color function "${name}()" in "${input}". Use ${SUPPORTED_FORMATS}.`);
+    }
+
+    return parser(body, input, name);
+}
+
+/**
+ * Parse a color string and return it as an opaque #rrggbb hex value
+ * @param {string} input - Any CSS color string
+ * @returns {string} Lowercase 6-digit hex color
+ * @throws {ColorParseError} When the input is not a valid color
+ */
+export function normalizeColor(input) {
+    const { r, g, b } = parseColor(input);
+    return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parse #rgb, #rgba, #rrggbb and #rrggbbaa
+ */
+function parseHex(value, input) {
+    const digits = value.slice(1);
+    if (!/^[0-9a-f]*$/.test(digits)) {
+        throw new ColorParseError(input, `Invalid hex color "${input}": only 0-9 and a-f are allowed after #`);
+    }
+    if (![3, 4, 6, 8].includes(digits.length)) {
+        throw new ColorParseError(input, `Invalid hex color "${input}": expected 3, 4, 6 or 8 hex digits, got ${digits.length}`);
+    }
+
+    const full = digits.length <= 4 ? digits.split('').map(d => d + d).join('') : digits;
+    const channel = (i) => parseInt(full.slice(i * 2, i * 2 + 2), 16);
+
+    return {
+        r: channel(0),
+        g: channel(1),
+        b: channel(2),
+        alpha: full.length === 8 ? channel(3) / 255 : 1
+    };
+}
+
+/**
+ * Split function arguments into components and alpha.
+ * Supports legacy comma syntax ("rgb(1, 2, 3, 0.5)") and modern syntax ("rgb(1 2 3 / 50%)").
+ */
+function splitArguments(body, input, name, count) {
+    let components;
+    let alpha;
+
+    if (body.includes(',')) {
+        if (body.includes('/')) {
+            throw new ColorParseError(input, `Cannot mix commas and "/" in "${input}"`);
+        }
+        components = body.split(',').map(part => part.trim());
+        if (components.length === count + 1) {
+            alpha = components.pop();
+        }
+    } else {
+        const slashParts = body.split('/');
+        if (slashParts.length > 2) {
+            throw new ColorParseError(input, `Too many "/" separators in "${input}"`);
+        }
+        components = slashParts[0].trim().split(/\s+/).filter(Boolean);
+        alpha = slashParts.length === 2 ? slashParts[1].trim() : undefined;
+    }
+
+    if (components.length !== count || alpha === '') {
+        throw new ColorParseError(input, `${name}() expects ${count} components plus an optional alpha, got "${body.trim()}"`);
+    }
+
+    return { components, alpha };
+}
+
+/**
+ * Parse a number or percentage component.
+ * @param {string} token - Component text
+ * @param {number} percentReference - Value that 100% maps to
+ * @returns {number} Parsed value ("none" is 0)
+ */
+function parseNumber(token, percentReference, input) {
+    if (token === 'none') return 0;
+
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/.exec(token);
+    if (!match) {
+        throw new ColorParseError(input, `Invalid component "${token}" in "${input}": expected a number or percentage`);
+    }
+
+    const number = parseFloat(match[1]);
+    return match[2] === '%' ? (number / 100) * percentReference : number;
+}
+
+/**
+ * Parse a hue component (unitless degrees, deg, rad, grad or turn)
+ * @returns {number} Hue in degrees, normalized to 0-360
+ */
+function parseHue(token, input) {
+    if (token === 'none') return 0;
+
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/.exec(token);
+    if (!match) {
+        throw new ColorParseError(input, `Invalid hue "${token}" in "${input}": expected a number or angle (deg, rad, grad, turn)`);
+    }
+
+    const units = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 };
+    const degrees = parseFloat(match[1]) * units[match[2] || 'deg'];
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Parse an optional alpha component (number 0-1 or percentage)
+ */
+function parseAlpha(token, input) {
+    if (token === undefined) return 1;
+    return Math.max(0, Math.min(1, parseNumber(token, 1, input)));
+}
+
+/**
+ * Build the sRGB result from gamma-encoded channels (0-1), clipping to the gamut
+ */
+function fromSrgb([r, g, b], alpha) {
+    const clip = (c) => Math.max(0, Math.min(255, c * 255));
+    return { r: clip(r), g: clip(g), b: clip(b), alpha };
+}
+
+/**
+ * Build the sRGB result from linear-light channels
+ */
+function fromLinearSrgb(linear, alpha) {
+    const encode = (c) => {
+        const abs = Math.abs(c);
+        return abs <= 0.0031308 ? c * 12.92 : Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+    };
+    return fromSrgb(linear.map(encode), alpha);
+}
+
+/**
+ * Decode gamma-encoded channels (0-1) to linear light. Display P3 shares the sRGB transfer curve.
+ */
+function toLinear(channels) {
+    return channels.map(c => {
+        const abs = Math.abs(c);
+        return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+    });
+}
+
+/**
+ * Convert CIE Lab (D50, as used by CSS lab()/lch()) to linear sRGB
+ */
+function labToLinearSrgb(l, a, b) {
+    const epsilon = 216 / 24389;
+    const kappa = 24389 / 27;
+
+    const fy = (l + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+
+    const xyzD50 = [
+        (Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa) * D50_WHITE[0],
+        (l > kappa * epsilon ? Math.pow(fy, 3) : l / kappa) * D50_WHITE[1],
+        (Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa) * D50_WHITE[2]
+    ];
+
+    return multiply(XYZ_D65_TO_LINEAR_SRGB, multiply(D50_TO_D65, xyzD50));
+}
+
+/**
+ * Convert OKLab to linear sRGB
+ */
+function oklabToLinearSrgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+/**
+ * Convert HSL (s and l as 0-1) to gamma-encoded sRGB channels
+ */
+function hslToSrgb(h, s, l) {
+    const f = (n) => {
+        const k = (n + h / 30) % 12;
+        return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [f(0), f(8), f(4)];
+}
+
+const polarToCartesian = (c, h) => [c * Math.cos(h * Math.PI / 180), c * Math.sin(h * Math.PI / 180)];
+
+/**
+ * Parsers for each supported color function, keyed by function name
+ */
+const FUNCTION_PARSERS = {
+    rgb(body, input, name) {
+        const { components, alpha } = splitArguments(body, input, name, 3);
+        const channels = components.map(token => parseNumber(token, 255, input) / 255);
+        return fromSrgb(channels, parseAlpha(alpha, input));
+    },
+
+    hsl(body, input, name) {
+        const { components, alpha } = splitArguments(body, input, name, 3);
+        const h = parseHue(components[0], input);
+        const s = Math.max(0, parseNumber(components[1], 100, input)) / 100;
+        const l = parseNumber(components[2], 100, input) / 100;
+        return fromSrgb(hslToSrgb(h, s, l), parseAlpha(alpha, input));
+    },
+
+    hwb(body, input, name) {
+        const { components, alpha } = splitArguments(body, input, name, 3);
+        const h = parseHue(components[0], input);
+        let white = parseNumber(components[1], 100, input) / 100;
+        let black = parseNumber(components[2], 100, input) / 100;
+        if (white + black >= 1) {
+            const gray = white / (white + black);
+            return fromSrgb([gray, gray, gray], parseAlpha(alpha, input));
+        }
+        const channels = hslToSrgb(h, 1, 0.5).map(c => c * (1 - white - black) + white);
+        return fromSrgb(channels, parseAlpha(alpha, input));
+    },
+
+    lab(body, input, name) {
+        const { components, alpha } = splitArguments(body, input, name, 3);
+        const l = parseNumber(components[0], 100, input);
+        const a = parseNumber(components[1], 125, input);
+        const b = parseNumber(components[2], 125, input);
+        return fromLinearSrgb(labToLinearSrgb(l, a, b), parseAlpha(alpha, input));
+    },
+
+    lch(body, input, name) {
+        const { components, alpha } = splitArguments(body, input, name, 3);
+        const l = parseNumber(components[0], 100, input);
+        const c = Math.max(0, parseNumber(components[1], 150, input));
+        const [a, b] = polarToCartesian(c, parseHue(components[2], input));
+        return fromLinearSrgb(labToLinearSrgb(l, a, b), parseAlpha(alpha, input));
+    },
+
+    oklab(body, input, name) {
+        const { components, alpha } = splitArguments(body, input, name, 3);
+        const l = parseNumber(components[0], 1, input);
+        const a = parseNumber(components[1], 0.4, input);
+        const b = parseNumber(components[2], 0.4, input);
+        return fromLinearSrgb(oklabToLinearSrgb(l, a, b), parseAlpha(alpha, input));
+    },
+
+    oklch(body, input, name) {
+        const { components, alpha } = splitArguments(body, input, name, 3);
+        const l = parseNumber(components[0], 1, input);
+        const c = Math.max(0, parseNumber(components[1], 0.4, input));
+        const [a, b] = polarToCartesian(c, parseHue(components[2], input));
+        return fromLinearSrgb(oklabToLinearSrgb(l, a, b), parseAlpha(alpha, input));
+    },
+
+    color(body, input) {
+        const [space, ...rest] = body.trim().split(/\s+/);
+        const { components, alpha } = splitArguments(rest.join(' '), input, `color(${space})`, 3);
+        const values = components.map(token => parseNumber(token, 1, input));
+
+        switch (space) {
+            case 'srgb':
+                return fromSrgb(values, parseAlpha(alpha, input));
+            case 'srgb-linear':
+                return fromLinearSrgb(values, parseAlpha(alpha, input));
+            case 'display-p3':
+                // Wide-gamut values outside sRGB are clipped like any other out-of-gamut input
+                return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, multiply(LINEAR_P3_TO_XYZ_D65, toLinear(values))), parseAlpha(alpha, input));
+            case 'xyz':
+            case 'xyz-d65':
+                return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, values), parseAlpha(alpha, input));
+            case 'xyz-d50':
+                return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, multiply(D50_TO_D65, values)), parseAlpha(alpha, input));
+            default:
+                throw new ColorParseError(input, `Unsupported color space "${space}" in "${input}": expected srgb, srgb-linear, display-p3, xyz, xyz-d65 or xyz-d50`);
+        }
+    }
+};
+
+// Legacy aliases
+FUNCTION_PARSERS.rgba = FUNCTION_PARSERS.rgb;
+FUNCTION_PARSERS.hsla = FUNCTION_PARSERS.hsl;
\ No newline at end of file
@@ -3,41 +3,324 @@
  * Color utility class for color manipulation and calculations
  */
 
+import { parseColor, ColorParseError } from './ColorParser.js';
+
+/**
+ * Color vision deficiency simulation matrices (Machado, Oliveira & Fernandes 2009)
+ * at full severity, applied to linear RGB. Achromatopsia has no matrix here and is
+ * simulated by collapsing each color to its relative luminance.
+ */
+export const CVD_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+export const CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+
+export const GAMUTS = ['srgb', 'display-p3'];
+
+// Short labels for getDeltaE methods, so values from different metrics are never shown as plain "ΔE"
+export const DELTA_E_LABELS = {
+    '76': 'ΔE76',
+    '94': 'ΔE94',
+    '2000': 'ΔE00',
+    ok: 'ΔEOK×100'
+};
+
+/**
+ * Linear sRGB <-> linear Display P3 (both D65, via CIE XYZ; CSS Color 4 matrices combined)
+ */
+const LINEAR_SRGB_TO_LINEAR_P3 = [
+    [0.8224619687143623, 0.17753803128563775, 0],
+    [0.03319419885110268, 0.9668058011488973, 0],
+    [0.017082630526454025, 0.07239744066396346, 0.9105199288095825]
+];
+const LINEAR_P3_TO_LINEAR_SRGB = [
+    [1.2249401762805598, -0.22494017628055996, 0],
+    [-0.042056954709688163, 1.0420569547096881, 0],
+    [-0.019637554590334432, -0.07863604555063188, 1.0982736001409663]
+];
+
+const multiply = (matrix, [x, y, z]) => matrix.map(row => row[0] * x + row[1] * y + row[2] * z);
+
 /**
  * Color utility class for color manipulation and calculations
  * Handles conversion between color formats and contrast calculations
  */
 export class ColorUtil {
+    /**
+     * @param {string|Object} color - Any CSS Color 4 string (hex, named, rgb(), hsl(), hwb(),
+     *                                lab(), lch(), oklab(), oklch(), color()), or an
+     *                                {type: 'hsl'} / {type: 'oklch'} object (optional alpha 0-1)
+     * @throws {ColorParseError} When the color cannot be parsed
+     */
     constructor(color) {
         if (typeof color === 'string') {
-            if (color.startsWith('#')) {
-                this.hex = color;
-                this.rgb = this.hexToRgb(color);
-                this.hsl = this.rgbToHsl(this.rgb.r, this.rgb.g, this.rgb.b);
-            }
-        } else if (color.type === 'hsl') {
-            this.hsl = color;
+            const { r, g, b, alpha } = parseColor(color);
+            this.alpha = alpha;
+            const trimmed = color.trim();
+            // Plain #rrggbb input is kept verbatim so existing hex values round-trip unchanged;
+            // other formats are quantized to the 8-bit sRGB value their hex represents
+            this.hex = /^#[0-9a-f]{6}$/i.test(trimmed) ? trimmed : this.rgbToHex(r, g, b);
+            this.rgb = this.hexToRgb(this.hex);
+            this.hsl = this.rgbToHsl(this.rgb.r, this.rgb.g, this.rgb.b);
+        } else if (color && color.type === 'hsl') {
+            this.alpha = this.normalizeAlpha(color.alpha);
+            this.hsl = { h: color.h, s: color.s, l: color.l };
             this.rgb = this.hslToRgb(color.h, color.s, color.l);
             this.hex = this.rgbToHex(this.rgb.r, this.rgb.g, this.rgb.b);
+        } else if (color && color.type === 'oklch') {
+            this.alpha = this.normalizeAlpha(color.alpha);
+            const lab = this.oklchToOklab(color.l, color.c, color.h);
+            this.rgb = this.clampRgb(this.oklabToRgb(lab.l, lab.a, lab.b));
+            this.hex = this.rgbToHex(this.rgb.r, this.rgb.g, this.rgb.b);
+            this.hsl = this.rgbToHsl(this.rgb.r, this.rgb.g, this.rgb.b);
+        } else {
+            throw new ColorParseError(color, 'Expected a CSS color string or an {type: "hsl"} / {type: "oklch"} object');
         }
     }
 
-    static fromHsl(h, s, l) {
-        return new ColorUtil({type: 'hsl', h, s, l});
+    static fromHsl(h, s, l, alpha = 1) {
+        return new ColorUtil({type: 'hsl', h, s, l, alpha});
+    }
+
+    /**
+     * Create a color from OKLCH values (out-of-gamut colors are clipped to sRGB)
+     * @param {number} l - Lightness (0-1)
+     * @param {number} c - Chroma (0-~0.4)
+     * @param {number} h - Hue (0-360)
+     * @returns {ColorUtil} New color instance
+     */
+    static fromOklch(l, c, h) {
+        return new ColorUtil({type: 'oklch', l, c, h});
+    }
+
+    /**
+     * Create a color from OKLCH values, reducing chroma until it fits the sRGB gamut.
+     * Lightness and hue are preserved exactly.
+     * @param {number} l - Lightness (0-1)
+     * @param {number} c - Chroma (0-~0.4)
+     * @param {number} h - Hue (0-360)
+     * @returns {ColorUtil} New color instance
+     */
+    static fromOklchInGamut(l, c, h) {
+        const probe = ColorUtil.prototype;
+        const inGamut = (chroma) => {
+            const lab = probe.oklchToOklab(l, chroma, h);
+            return probe.isRgbInGamut(probe.oklabToRgb(lab.l, lab.a, lab.b));
+        };
+
+        if (l <= 0 || l >= 1 || inGamut(c)) {
+            return ColorUtil.fromOklch(l, c, h);
+        }
+
+        let low = 0;
+        let high = c;
+        while (high - low > 0.0001) {
+            const mid = (low + high) / 2;
+            if (inGamut(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return ColorUtil.fromOklch(l, low, h);
+    }
+
+    /**
+     * Map an OKLCH color into a gamut with the CSS Color 4 algorithm: reduce chroma by
+     * binary search, but accept a clipped color once it is within a just-noticeable
+     * difference (ΔEOK 0.02) of the chroma-reduced one. Keeps more chroma than pure chroma reduction.
+     * @param {number} l - Lightness (0-1)
+     * @param {number} c - Chroma (0-~0.4)
+     * @param {number} h - Hue (0-360)
+     * @param {string} gamut - 'srgb' or 'display-p3'
+     * @returns {Object} Mapped OKLCH color object {l, c, h}
+     */
+    static gamutMapOklch(l, c, h, gamut = 'srgb') {
+        const probe = ColorUtil.prototype;
+        const jnd = 0.02;
+        const epsilon = 0.0001;
+
+        if (l >= 1) return {l: 1, c: 0, h};
+        if (l <= 0) return {l: 0, c: 0, h};
+
+        const toLinear = (chroma) => {
+            const lab = probe.oklchToOklab(l, chroma, h);
+            const linear = probe.oklabToLinearSrgb(lab.l, lab.a, lab.b);
+            return gamut === 'display-p3' ? multiply(LINEAR_SRGB_TO_LINEAR_P3, linear) : linear;
+        };
+        const inGamut = (linear) => linear.every(v => {
+            const encoded = probe.linearToSrgb(v);
+            return encoded >= -epsilon && encoded <= 1 + epsilon;
+        });
+        // Clip in the destination space, then measure the clipped color back in OKLab
+        const clip = (linear) => {
+            const clipped = linear.map(v => probe.srgbToLinear(Math.max(0, Math.min(1, probe.linearToSrgb(v)))));
+            const srgb = gamut === 'display-p3' ? multiply(LINEAR_P3_TO_LINEAR_SRGB, clipped) : clipped;
+            return probe.linearSrgbToOklab(...srgb);
+        };
+        const deltaEOK = (lab, chroma) => {
+            const target = probe.oklchToOklab(l, chroma, h);
+            return Math.hypot(lab.l - target.l, lab.a - target.a, lab.b - target.b);
+        };
+        const result = (lab) => probe.oklabToOklch(lab.l, lab.a, lab.b);
+
+        if (inGamut(toLinear(c))) return {l, c, h};
+
+        let clipped = clip(toLinear(c));
+        if (deltaEOK(clipped, c) < jnd) return result(clipped);
+
+        let min = 0;
+        let max = c;
+        let minInGamut = true;
+        while (max - min > epsilon) {
+            const chroma = (min + max) / 2;
+            const linear = toLinear(chroma);
+            if (minInGamut && inGamut(linear)) {
+                min = chroma;
+                continue;
+            }
+            clipped = clip(linear);
+            const error = deltaEOK(clipped, chroma);
+            if (error < jnd) {
+                if (jnd - error < epsilon) break;
+                minInGamut = false;
+                min = chroma;
+            } else {
+                max = chroma;
+            }
+        }
+        return result(clipped);
+    }
+
+    /**
+     * OKLab representation of this color
+     * @returns {Object} OKLab color object {l, a, b}
+     */
+    get oklab() {
+        return this.rgbToOklab(this.rgb.r, this.rgb.g, this.rgb.b);
+    }
+
+    /**
+     * OKLCH representation of this color
+     * @returns {Object} OKLCH color object {l, c, h}
+     */
+    get oklch() {
+        const {l, a, b} = this.oklab;
+        return this.oklabToOklch(l, a, b);
+    }
+
+    /**
+     * Display P3 representation of this color (exact, every sRGB color fits in P3)
+     * @returns {Object} Gamma-encoded P3 channels {r, g, b} (0-1)
+     */
+    get displayP3() {
+        const linear = [this.rgb.r, this.rgb.g, this.rgb.b].map(c => this.srgbToLinear(c / 255));
+        const [r, g, b] = multiply(LINEAR_SRGB_TO_LINEAR_P3, linear).map(c => this.linearToSrgb(c));
+        return {r, g, b};
+    }
+
+    /**
+     * Hex value including alpha (#rrggbbaa), or plain #rrggbb when opaque
+     * @returns {string} Hex color value
+     */
+    get hexa() {
+        if (this.alpha >= 1) return this.hex;
+        return this.hex + Math.round(this.alpha * 255).toString(16).padStart(2, '0');
+    }
+
+    /**
+     * Whether this color is partly transparent
+     * @returns {boolean} True when alpha is below 1
+     */
+    get isTranslucent() {
+        return this.alpha < 1;
+    }
+
+    /**
+     * Clamp an alpha value to 0-1, defaulting to opaque
+     * @param {number} alpha - Alpha value
+     * @returns {number} Alpha between 0 and 1
+     */
+    normalizeAlpha(alpha) {
+        if (typeof alpha !== 'number' || Number.isNaN(alpha)) return 1;
+        return Math.max(0, Math.min(1, alpha));
+    }
+
+    /**
+     * Create a copy of this color with a different alpha
+     * @param {number} alpha - Alpha value (0-1)
+     * @returns {ColorUtil} New color instance
+     */
+    withAlpha(alpha) {
+        const color = new ColorUtil(this.hex);
+        color.alpha = this.normalizeAlpha(alpha);
+        return color;
+    }
+
+    /**
+     * Composite this color over a background (source-over, in gamma-encoded sRGB as browsers do)
+     * @param {ColorUtil} backgroundColor - Color underneath; may itself be translucent
+     * @returns {ColorUtil} Resulting color (opaque unless the background is translucent)
+     */
+    compositeOver(backgroundColor) {
+        const alpha = this.alpha + backgroundColor.alpha * (1 - this.alpha);
+        if (alpha === 0) {
+            return backgroundColor.withAlpha(0);
+        }
+
+        const mix = (fg, bg) => (fg * this.alpha + bg * backgroundColor.alpha * (1 - this.alpha)) / alpha;
+        const { r, g, b } = this.rgb;
+        const bg = backgroundColor.rgb;
+        const result = new ColorUtil(this.rgbToHex(mix(r, bg.r), mix(g, bg.g), mix(b, bg.b)));
+        result.alpha = alpha;
+        return result;
+    }
+
+    /**
+     * CSS rgb() value, with alpha when translucent
+     * @returns {string} e.g. "rgb(85 0 170)" or "rgb(85 0 170 / 0.5)"
+     */
+    toRgbString() {
+        const { r, g, b } = this.rgb;
+        const channels = [r, g, b].map(Math.round).join(' ');
+        return this.alpha < 1 ?
+            `rgb(${channels} / ${Math.round(this.alpha * 1000) / 1000})` :
+            `rgb(${channels})`;
+    }
+
+    /**
+     * CIELAB representation of this color (D65 white point)
+     * @returns {Object} Lab color object {l, a, b}
+     */
+    get lab() {
+        return this.rgbToLab(this.rgb.r, this.rgb.g, this.rgb.b);
     }
 
     /**
      * Convert hex color to RGB
-     * @param {string} hex - Hex color value
+     * @param {string} hex - Hex color value (#rgb, #rgba, #rrggbb or #rrggbbaa; # optional)
      * @returns {Object} RGB color object
+     * @throws {ColorParseError} When the value is not a valid hex color
      */
     hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        } : null;
+        const value = String(hex).trim();
+        const { r, g, b } = parseColor(value.startsWith('#') ? value : `#${value}`);
+        return { r, g, b };
     }
 
     /**
@@ -116,6 +399,218 @@ export class ColorUtil {
         return {r: r * 255, g: g * 255, b: b * 255};
     }
 
+    /**
+     * Convert an sRGB channel (0-1) to linear light
+     * @param {number} c - Gamma-encoded channel value
+     * @returns {number} Linear channel value
+     */
+    srgbToLinear(c) {
+        const abs = Math.abs(c);
+        if (abs <= 0.04045) return c / 12.92;
+        return Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Convert a linear-light channel to gamma-encoded sRGB (0-1)
+     * @param {number} c - Linear channel value
+     * @returns {number} Gamma-encoded channel value
+     */
+    linearToSrgb(c) {
+        const abs = Math.abs(c);
+        if (abs <= 0.0031308) return c * 12.92;
+        return Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+    }
+
+    /**
+     * Convert RGB to OKLab
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} OKLab color object {l, a, b}
+     */
+    rgbToOklab(r, g, b) {
+        return this.linearSrgbToOklab(
+            this.srgbToLinear(r / 255),
+            this.srgbToLinear(g / 255),
+            this.srgbToLinear(b / 255)
+        );
+    }
+
+    /**
+     * Convert linear-light sRGB to OKLab
+     * @param {number} lr - Linear red (0-1, may be out of range)
+     * @param {number} lg - Linear green
+     * @param {number} lb - Linear blue
+     * @returns {Object} OKLab color object {l, a, b}
+     */
+    linearSrgbToOklab(lr, lg, lb) {
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+        return {
+            l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    }
+
+    /**
+     * Convert RGB to CIELAB via CIE XYZ (D65 white point, no chromatic adaptation)
+     * @param {number} r - Red value (0-255)
+     * @param {number} g - Green value (0-255)
+     * @param {number} b - Blue value (0-255)
+     * @returns {Object} Lab color object {l, a, b}, l in 0-100
+     */
+    rgbToLab(r, g, b) {
+        const lr = this.srgbToLinear(r / 255);
+        const lg = this.srgbToLinear(g / 255);
+        const lb = this.srgbToLinear(b / 255);
+
+        // Linear sRGB to XYZ, normalized by the D65 reference white
+        const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+        const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / 1.00000;
+        const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+
+        const epsilon = 216 / 24389;
+        const kappa = 24389 / 27;
+        const f = (t) => t > epsilon ? Math.cbrt(t) : (kappa * t + 16) / 116;
+        const [fx, fy, fz] = [f(x), f(y), f(z)];
+
+        return {
+            l: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    /**
+     * Convert OKLab to RGB (unclamped, may fall outside 0-255)
+     * @param {number} L - Lightness (0-1)
+     * @param {number} a - Green/red axis
+     * @param {number} b - Blue/yellow axis
+     * @returns {Object} RGB color object
+     */
+    oklabToRgb(L, a, b) {
+        const [lr, lg, lb] = this.oklabToLinearSrgb(L, a, b);
+        return {
+            r: this.linearToSrgb(lr) * 255,
+            g: this.linearToSrgb(lg) * 255,
+            b: this.linearToSrgb(lb) * 255
+        };
+    }
+
+    /**
+     * Convert OKLab to linear-light sRGB (unclamped)
+     * @param {number} L - Lightness (0-1)
+     * @param {number} a - Green/red axis
+     * @param {number} b - Blue/yellow axis
+     * @returns {number[]} Linear [r, g, b]
+     */
+    oklabToLinearSrgb(L, a, b) {
+        const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ];
+    }
+
+    /**
+     * Convert OKLCH to gamma-encoded Display P3 (unclamped, may fall outside 0-1)
+     * @param {number} l - Lightness (0-1)
+     * @param {number} c - Chroma
+     * @param {number} h - Hue (0-360)
+     * @returns {Object} P3 channels {r, g, b}
+     */
+    oklchToDisplayP3(l, c, h) {
+        const lab = this.oklchToOklab(l, c, h);
+        const linear = multiply(LINEAR_SRGB_TO_LINEAR_P3, this.oklabToLinearSrgb(lab.l, lab.a, lab.b));
+        const [r, g, b] = linear.map(v => this.linearToSrgb(v));
+        return {r, g, b};
+    }
+
+    /**
+     * Convert gamma-encoded Display P3 to sRGB (unclamped, may fall outside 0-255)
+     * @param {Object} p3 - P3 channels {r, g, b} (0-1)
+     * @returns {Object} RGB color object
+     */
+    displayP3ToRgb({r, g, b}) {
+        const linear = multiply(LINEAR_P3_TO_LINEAR_SRGB, [r, g, b].map(v => this.srgbToLinear(v)));
+        const [sr, sg, sb] = linear.map(v => this.linearToSrgb(v) * 255);
+        return {r: sr, g: sg, b: sb};
+    }
+
+    /**
+     * Check whether gamma-encoded P3 channels fall inside the Display P3 gamut
+     * @param {Object} p3 - P3 channels {r, g, b}
+     * @returns {boolean} Whether every channel is within 0-1
+     */
+    isDisplayP3InGamut({r, g, b}) {
+        const epsilon = 0.5 / 255;
+        return [r, g, b].every(v => v >= -epsilon && v <= 1 + epsilon);
+    }
+
+    /**
+     * Format P3 channels as a CSS color() value
+     * @param {Object} p3 - P3 channels {r, g, b} (clamped to 0-1)
+     * @returns {string} e.g. "color(display-p3 0.2 0.4 1)"
+     */
+    displayP3ToCss({r, g, b}) {
+        const channels = [r, g, b].map(v => Math.round(Math.max(0, Math.min(1, v)) * 10000) / 10000);
+        return `color(display-p3 ${channels.join(' ')})`;
+    }
+
+    /**
+     * Convert OKLab to OKLCH
+     * @param {number} l - Lightness (0-1)
+     * @param {number} a - Green/red axis
+     * @param {number} b - Blue/yellow axis
+     * @returns {Object} OKLCH color object {l, c, h}
+     */
+    oklabToOklch(l, a, b) {
+        const c = Math.sqrt(a * a + b * b);
+        // Hue is meaningless for achromatic colors, report 0 instead of noise
+        let h = c < 1e-4 ? 0 : Math.atan2(b, a) * 180 / Math.PI;
+        if (h < 0) h += 360;
+        return {l, c, h};
+    }
+
+    /**
+     * Convert OKLCH to OKLab
+     * @param {number} l - Lightness (0-1)
+     * @param {number} c - Chroma
+     * @param {number} h - Hue (0-360)
+     * @returns {Object} OKLab color object {l, a, b}
+     */
+    oklchToOklab(l, c, h) {
+        const rad = h * Math.PI / 180;
+        return {l, a: c * Math.cos(rad), b: c * Math.sin(rad)};
+    }
+
+    /**
+     * Check whether RGB channels fall inside the sRGB gamut
+     * @param {Object} rgb - RGB color object (possibly unclamped)
+     * @returns {boolean} Whether every channel is within 0-255
+     */
+    isRgbInGamut({r, g, b}) {
+        const epsilon = 0.5; // Anything that rounds to a valid channel is in gamut
+        return [r, g, b].every(v => v >= -epsilon && v <= 255 + epsilon);
+    }
+
+    /**
+     * Clamp RGB channels to the displayable 0-255 range
+     * @param {Object} rgb - RGB color object
+     * @returns {Object} Clamped RGB color object
+     */
+    clampRgb({r, g, b}) {
+        const clamp = (v) => Math.max(0, Math.min(255, v));
+        return {r: clamp(r), g: clamp(g), b: clamp(b)};
+    }
+
     /**
      * Calculate relative luminance according to WCAG guidelines
      * @returns {number} Relative luminance value
@@ -130,11 +625,36 @@ export class ColorUtil {
     }
 
     /**
-     * Calculate contrast ratio between two colors according to WCAG
-     * @param {ColorUtil} otherColor - The other color to compare against
+     * Calculate WCAG relative luminance of a Display P3 color
+     * @param {Object} p3 - P3 channels {r, g, b} (0-1)
+     * @returns {number} Relative luminance value
+     */
+    getDisplayP3Luminance({r, g, b}) {
+        const [rs, gs, bs] = [r, g, b].map(c => this.srgbToLinear(Math.max(0, Math.min(1, c))));
+        return 0.2289745640697488 * rs + 0.6917385218365064 * gs + 0.079286914093745 * bs;
+    }
+
+    /**
+     * Calculate WCAG contrast ratio between a Display P3 color and this color
+     * @param {Object} p3 - P3 channels {r, g, b} (0-1)
+     * @returns {number} Contrast ratio
+     */
+    getDisplayP3ContrastRatio(p3) {
+        const lum1 = this.getDisplayP3Luminance(p3);
+        const lum2 = this.getLuminance();
+        return (Math.max(lum1, lum2) + 0.05) / (Math.min(lum1, lum2) + 0.05);
+    }
+
+    /**
+     * Calculate contrast ratio between two colors according to WCAG.
+     * A translucent color is composited over the other color first (its effective contrast).
+     * @param {ColorUtil} otherColor - The other color to compare against (treated as opaque)
      * @returns {number} Contrast ratio
      */
     getContrastRatio(otherColor) {
+        if (this.alpha < 1) {
+            return this.compositeOver(otherColor).withAlpha(1).getContrastRatio(otherColor);
+        }
         const lum1 = this.getLuminance();
         const lum2 = otherColor.getLuminance();
         const brightest = Math.max(lum1, lum2);
@@ -154,6 +674,254 @@ export class ColorUtil {
         return ratio >= requiredRatio;
     }
 
+    /**
+     * Calculate screen luminance as defined by APCA (simple 2.4 exponent, no linear toe)
+     * @returns {number} APCA luminance (Y) value
+     */
+    getAPCALuminance() {
+        const {r, g, b} = this.rgb;
+        const [rs, gs, bs] = [r, g, b].map(c => Math.pow(Math.max(0, c) / 255, 2.4));
+        return 0.2126729 * rs + 0.7151522 * gs + 0.0721750 * bs;
+    }
+
+    /**
+     * Calculate APCA lightness contrast (Lc) with this color as text on a background.
+     * The result is polarity-aware: positive for dark text on a light background,
+     * negative for light text on a dark background (APCA 0.0.98G-4g constants).
+     * Translucent text is composited over the background first.
+     * @param {ColorUtil} backgroundColor - Background color (treated as opaque)
+     * @returns {number} Lc value (roughly -108 to 106)
+     */
+    getAPCAContrast(backgroundColor) {
+        if (this.alpha < 1) {
+            return this.compositeOver(backgroundColor).withAlpha(1).getAPCAContrast(backgroundColor);
+        }
+        return this.apcaContrastFromLuminance(this.getAPCALuminance(), backgroundColor.getAPCALuminance());
+    }
+
+    /**
+     * Calculate APCA Lc with Display P3 text on this color as background
+     * @param {Object} p3 - P3 channels {r, g, b} (0-1)
+     * @returns {number} Lc value (polarity-aware, see getAPCAContrast)
+     */
+    getDisplayP3APCAContrast({r, g, b}) {
+        const [rs, gs, bs] = [r, g, b].map(c => Math.pow(Math.max(0, Math.min(1, c)), 2.4));
+        const textY = 0.2289829594805780 * rs + 0.6917492625852380 * gs + 0.0792677779341829 * bs;
+        return this.apcaContrastFromLuminance(textY, this.getAPCALuminance());
+    }
+
+    /**
+     * APCA Lc from text and background screen luminance (0.0.98G-4g constants)
+     * @param {number} textLuminance - APCA Y of the text
+     * @param {number} backgroundLuminance - APCA Y of the background
+     * @returns {number} Lc value
+     */
+    apcaContrastFromLuminance(textLuminance, backgroundLuminance) {
+        const blackThreshold = 0.022;
+        const blackClamp = 1.414;
+        const softClamp = (y) => y > blackThreshold ? y : y + Math.pow(blackThreshold - y, blackClamp);
+
+        const textY = softClamp(textLuminance);
+        const backgroundY = softClamp(backgroundLuminance);
+
+        if (Math.abs(backgroundY - textY) < 0.0005) {
+            return 0;
+        }
+
+        let contrast;
+        if (backgroundY > textY) {
+            // Normal polarity: dark text on light background
+            const sapc = (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+            contrast = sapc < 0.1 ? 0 : sapc - 0.027;
+        } else {
+            // Reverse polarity: light text on dark background
+            const sapc = (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+            contrast = sapc > -0.1 ? 0 : sapc + 0.027;
+        }
+
+        return contrast * 100;
+    }
+
+    /**
+     * Check if color, used as text, meets an APCA Lc target on a background
+     * @param {ColorUtil} backgroundColor - Background color
+     * @param {number} targetLc - Minimum absolute Lc value (e.g. 60, 75, 90)
+     * @returns {boolean} Whether contrast requirement is met
+     */
+    meetsAPCAContrast(backgroundColor, targetLc = 60) {
+        return Math.abs(this.getAPCAContrast(backgroundColor)) >= targetLc;
+    }
+
+    /**
+     * Calculate the color difference to another color
+     * @param {ColorUtil} otherColor - The other color to compare against
+     * @param {string} method - '76', '94', '2000' or 'ok' (ΔEOK × 100, on the same scale as the CIE metrics)
+     * @returns {number} Color difference (about 1 is just noticeable, except for unscaled ΔEOK)
+     */
+    getDeltaE(otherColor, method = '2000') {
+        switch (method) {
+            case '76':
+                return this.getDeltaE76(otherColor);
+            case '94':
+                return this.getDeltaE94(otherColor);
+            case 'ok':
+                return this.getDeltaEOK(otherColor) * 100;
+            default:
+                return this.getDeltaE2000(otherColor);
+        }
+    }
+
+    /**
+     * Calculate CIE76 ΔE*ab (Euclidean distance in CIELAB)
+     * @param {ColorUtil} otherColor - The other color to compare against
+     * @returns {number} Color difference
+     */
+    getDeltaE76(otherColor) {
+        const a = this.lab;
+        const b = otherColor.lab;
+        return Math.hypot(a.l - b.l, a.a - b.a, a.b - b.b);
+    }
+
+    /**
+     * Calculate CIE94 ΔE*94 (graphic arts weights, this color as reference)
+     * @param {ColorUtil} otherColor - The other color to compare against
+     * @returns {number} Color difference
+     */
+    getDeltaE94(otherColor) {
+        const lab1 = this.lab;
+        const lab2 = otherColor.lab;
+        const kL = 1, K1 = 0.045, K2 = 0.015;
+
+        const c1 = Math.hypot(lab1.a, lab1.b);
+        const c2 = Math.hypot(lab2.a, lab2.b);
+        const dL = lab1.l - lab2.l;
+        const dC = c1 - c2;
+        const dA = lab1.a - lab2.a;
+        const dB = lab1.b - lab2.b;
+        // ΔH² can dip below zero through rounding
+        const dH2 = Math.max(0, dA * dA + dB * dB - dC * dC);
+
+        const sC = 1 + K1 * c1;
+        const sH = 1 + K2 * c1;
+
+        return Math.sqrt((dL / kL) ** 2 + (dC / sC) ** 2 + dH2 / (sH * sH));
+    }
+
+    /**
+     * Calculate CIEDE2000 ΔE00 to another color
+     * @param {ColorUtil} otherColor - The other color to compare against
+     * @returns {number} Color difference
+     */
+    getDeltaE2000(otherColor) {
+        return this.deltaE2000(this.lab, otherColor.lab);
+    }
+
+    /**
+     * CIEDE2000 between two Lab colors (Sharma, Wu & Dalal 2005, kL = kC = kH = 1)
+     * @param {Object} lab1 - First Lab color {l, a, b}
+     * @param {Object} lab2 - Second Lab color {l, a, b}
+     * @returns {number} Color difference
+     */
+    deltaE2000(lab1, lab2) {
+        const toRad = Math.PI / 180;
+        const toDeg = 180 / Math.PI;
+
+        const c1 = Math.hypot(lab1.a, lab1.b);
+        const c2 = Math.hypot(lab2.a, lab2.b);
+        const cBar7 = Math.pow((c1 + c2) / 2, 7);
+        const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+
+        const a1 = (1 + g) * lab1.a;
+        const a2 = (1 + g) * lab2.a;
+        const cp1 = Math.hypot(a1, lab1.b);
+        const cp2 = Math.hypot(a2, lab2.b);
+        const hue = (b, a) => (a === 0 && b === 0) ? 0 : (Math.atan2(b, a) * toDeg + 360) % 360;
+        const hp1 = hue(lab1.b, a1);
+        const hp2 = hue(lab2.b, a2);
+
+        const dLp = lab2.l - lab1.l;
+        const dCp = cp2 - cp1;
+        let dhp = 0;
+        if (cp1 * cp2 !== 0) {
+            dhp = hp2 - hp1;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(cp1 * cp2) * Math.sin((dhp / 2) * toRad);
+
+        const lBarP = (lab1.l + lab2.l) / 2;
+        const cBarP = (cp1 + cp2) / 2;
+        let hBarP = hp1 + hp2;
+        if (cp1 * cp2 !== 0) {
+            if (Math.abs(hp1 - hp2) <= 180) hBarP /= 2;
+            else hBarP = (hp1 + hp2 < 360) ? (hBarP + 360) / 2 : (hBarP - 360) / 2;
+        }
+
+        const t = 1
+            - 0.17 * Math.cos((hBarP - 30) * toRad)
+            + 0.24 * Math.cos((2 * hBarP) * toRad)
+            + 0.32 * Math.cos((3 * hBarP + 6) * toRad)
+            - 0.20 * Math.cos((4 * hBarP - 63) * toRad);
+        const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+        const cBarP7 = Math.pow(cBarP, 7);
+        const rC = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)));
+        const sL = 1 + (0.015 * Math.pow(lBarP - 50, 2)) / Math.sqrt(20 + Math.pow(lBarP - 50, 2));
+        const sC = 1 + 0.045 * cBarP;
+        const sH = 1 + 0.015 * cBarP * t;
+        const rT = -Math.sin(2 * dTheta * toRad) * rC;
+
+        return Math.sqrt(
+            Math.pow(dLp / sL, 2) +
+            Math.pow(dCp / sC, 2) +
+            Math.pow(dHp / sH, 2) +
+            rT * (dCp / sC) * (dHp / sH)
+        );
+    }
+
+    /**
+     * Calculate the OKLab Euclidean distance (ΔEOK) to another color.
+     * A just-noticeable difference is roughly 0.02.
+     * @param {ColorUtil} otherColor - The other color to compare against
+     * @returns {number} Distance in OKLab units (0 to ~1)
+     */
+    getDeltaEOK(otherColor) {
+        const a = this.oklab;
+        const b = otherColor.oklab;
+        return Math.hypot(a.l - b.l, a.a - b.a, a.b - b.b);
+    }
+
+    /**
+     * Simulate how this color appears with a color vision deficiency.
+     * Partial severities blend the full-severity matrix with the identity,
+     * which closely follows Machado's per-severity tables.
+     * @param {string} type - 'protanopia', 'deuteranopia', 'tritanopia' or 'achromatopsia'
+     * @param {number} severity - Severity from 0 (normal vision) to 1 (full dichromacy)
+     * @returns {ColorUtil} Simulated color
+     */
+    simulateCVD(type, severity = 1) {
+        const amount = Math.max(0, Math.min(1, severity));
+        if (!CVD_TYPES.includes(type) || amount === 0) {
+            return this.withAlpha(this.alpha);
+        }
+
+        const linear = [this.rgb.r, this.rgb.g, this.rgb.b].map(c => this.srgbToLinear(c / 255));
+        let simulated;
+
+        if (type === 'achromatopsia') {
+            const y = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+            simulated = [y, y, y];
+        } else {
+            const matrix = CVD_MATRICES[type];
+            simulated = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+        }
+
+        const [r, g, b] = linear.map((c, i) => {
+            const mixed = c + (simulated[i] - c) * amount;
+            return this.linearToSrgb(Math.max(0, Math.min(1, mixed))) * 255;
+        });
+        return new ColorUtil(this.rgbToHex(r, g, b)).withAlpha(this.alpha);
+    }
+
     toString() {
         return this.hex;
     }
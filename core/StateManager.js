@@ -3,6 +3,12 @@
  * Centralized state management for the application
  */
 
+import { getAvailableHarmonyTypes, DEFAULT_HARMONY_ANGLE, DEFAULT_HARMONY_OFFSETS } from './ColorHarmonies.js';
+import { DELTA_E_LABELS } from './ColorUtil.js';
+
+/** Surface names: up to 32 letters, digits, spaces, hyphens or underscores, starting with a letter or digit */
+export const SURFACE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,31}$/;
+
 /**
  * Application state manager using observable pattern
  */
@@ -12,18 +18,43 @@ export class StateManager {
             currentPalette: [],
             lightOptimizedPalette: [],
             darkOptimizedPalette: [],
+            tonalRamps: [],
+            translucentVariants: { light: [], dark: [] },
+            p3Variants: null,
+            semanticRoles: null,
             paletteHistory: [],
             isLoading: false,
             settings: {
                 paletteSize: 5,
                 wcagLevel: 'AA',
                 harmonyType: 'triadic',
+                harmonyAngle: DEFAULT_HARMONY_ANGLE, // Double-complementary rectangle angle
+                harmonyOffsets: [...DEFAULT_HARMONY_OFFSETS], // Custom harmony hue offsets (degrees)
+                harmonySpace: 'hsl',         // Hue wheel for harmonies: 'hsl' or 'oklch'
+                lockedColors: [],            // Base colors kept on regeneration, as {index, hex}
+                variationSeed: null,         // Shuffle mode seed, null for the deterministic palette
                 baseColor: '#5500AA',
+                optimizationMode: 'hsl',
+                contrastMethod: 'wcag2',
+                apcaTarget: 60,
+                lightBackground: '#ffffff',
+                darkBackground: '#2c3e50',
+                surfaces: {
+                    light: [],
+                    dark: []
+                },
+                tonalRampsEnabled: false,
+                displayP3Enabled: false,     // Add Display P3 variants with sRGB fallbacks
+                semanticRolesEnabled: false, // Derive primary/secondary/success/warning/danger/info roles
+                cvdSimulation: 'none',       // Display-only vision simulation
+                cvdSeverity: 100,            // Simulation severity in percent
                 differentiationSettings: {
                     enabled: true,
                     // Fixed values - maximum differentiation when enabled
                     minHueDifference: 60,        // Maximum hue separation
-                    minLuminanceDifference: 30   // Maximum luminance separation
+                    minLuminanceDifference: 30,  // Maximum luminance separation
+                    minDeltaE: 10,               // Minimum pairwise ΔE (in deltaEMethod units), also under CVD
+                    deltaEMethod: 'ok'           // ΔE metric: 'ok' (ΔEOK × 100), '2000', '94' or '76'
                 }
             }
         };
@@ -217,18 +248,130 @@ export class StateManager {
     validateSetting(key, value) {
         switch (key) {
             case 'paletteSize':
-                return value === 3 || value === 5;
+                return Number.isInteger(value) && value >= 2 && value <= 12;
             case 'wcagLevel':
                 return value === 'AA' || value === 'AAA';
             case 'harmonyType':
-                return ['complementary', 'triadic', 'analogous', 'monochromatic', 'tetradic'].includes(value);
+                return getAvailableHarmonyTypes().includes(value);
+            case 'harmonyAngle':
+                return Number.isInteger(value) && value > 0 && value < 180;
+            case 'harmonyOffsets':
+                return Array.isArray(value) && value.length > 0 && value.length < 12 &&
+                    value.every(offset => typeof offset === 'number' && Number.isFinite(offset));
             case 'baseColor':
+            case 'lightBackground':
+            case 'darkBackground':
                 return typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value);
+            case 'optimizationMode':
+            case 'harmonySpace':
+                return value === 'hsl' || value === 'oklch';
+            case 'contrastMethod':
+                return value === 'wcag2' || value === 'apca';
+            case 'apcaTarget':
+                return typeof value === 'number' && value > 0 && value <= 106;
+            case 'surfaces':
+                return this.validateSurfaces(value);
+            case 'tonalRampsEnabled':
+            case 'displayP3Enabled':
+            case 'semanticRolesEnabled':
+                return typeof value === 'boolean';
+            case 'cvdSimulation':
+                return ['none', 'protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'].includes(value);
+            case 'cvdSeverity':
+                return Number.isInteger(value) && value >= 0 && value <= 100;
+            case 'lockedColors':
+                return this.validateLockedColors(value);
+            case 'variationSeed':
+                return value === null || (Number.isInteger(value) && value > 0 && value <= 0xFFFFFFFF);
             case 'differentiationSettings':
                 return this.validateDifferentiationSettings(value);
             default:
-                return true; // Allow unknown settings for future expansion
+                return false; // Unknown settings are rejected, e.g. from imported files
+        }
+    }
+
+    /**
+     * Validate additional surfaces per theme
+     * @param {Object} surfaces - Object with light and dark arrays of {name, color}
+     * @returns {boolean} Whether surfaces are valid
+     */
+    validateSurfaces(surfaces) {
+        if (!surfaces || typeof surfaces !== 'object') return false;
+
+        const isValidSurface = (surface) => surface &&
+            typeof surface.name === 'string' && SURFACE_NAME_PATTERN.test(surface.name) &&
+            typeof surface.color === 'string' && /^#[0-9A-Fa-f]{6}$/.test(surface.color);
+
+        return ['light', 'dark'].every(theme =>
+            Array.isArray(surfaces[theme]) && surfaces[theme].every(isValidSurface)
+        );
+    }
+
+    /**
+     * Validate locked colors
+     * @param {Object[]} lockedColors - Locked colors as {index, hex}
+     * @returns {boolean} Whether locked colors are valid
+     */
+    validateLockedColors(lockedColors) {
+        if (!Array.isArray(lockedColors)) return false;
+
+        const indices = new Set();
+        return lockedColors.every(lock => {
+            const isValid = lock && Number.isInteger(lock.index) && lock.index >= 0 && lock.index < 12 &&
+                typeof lock.hex === 'string' && /^#[0-9A-Fa-f]{6}$/.test(lock.hex) &&
+                !indices.has(lock.index);
+            indices.add(lock?.index);
+            return isValid;
+        });
+    }
+
+    /**
+     * Lock or unlock a base palette color
+     * @param {number} index - Color index
+     * @param {string|null} hex - Color to keep, or null to unlock
+     */
+    setColorLock(index, hex) {
+        const currentLocks = this.getState('settings').lockedColors || [];
+        const lockedColors = currentLocks.filter(lock => lock.index !== index);
+        if (hex) {
+            lockedColors.push({ index, hex });
+            lockedColors.sort((a, b) => a.index - b.index);
+        }
+
+        this.updateSettings({ lockedColors });
+    }
+
+    /**
+     * Check whether a base palette color is locked
+     * @param {number} index - Color index
+     * @returns {boolean} Whether the color is locked
+     */
+    isColorLocked(index) {
+        return (this.getState('settings').lockedColors || []).some(lock => lock.index === index);
+    }
+
+    /**
+     * Replace one color of a palette after a manual edit
+     * @param {string} paletteType - 'base', 'light' or 'dark'
+     * @param {number} index - Color index
+     * @param {ColorUtil} color - Edited color
+     */
+    setPaletteColor(paletteType, index, color) {
+        const key = {
+            base: 'currentPalette',
+            light: 'lightOptimizedPalette',
+            dark: 'darkOptimizedPalette'
+        }[paletteType];
+        const palette = key ? this.getState(key) : null;
+
+        if (!Array.isArray(palette) || !Number.isInteger(index) || index < 0 || index >= palette.length) {
+            console.warn(`Cannot edit ${paletteType} color ${index + 1}`);
+            return;
         }
+
+        const updated = [...palette];
+        updated[index] = color;
+        this.updateState({ [key]: updated });
     }
 
     /**
@@ -239,9 +382,10 @@ export class StateManager {
     validateDifferentiationSettings(settings) {
         if (!settings || typeof settings !== 'object') return false;
         
-        const { enabled } = settings;
+        const { enabled, deltaEMethod } = settings;
         
-        return typeof enabled === 'boolean';
+        return typeof enabled === 'boolean' &&
+            (deltaEMethod === undefined || Object.hasOwn(DELTA_E_LABELS, deltaEMethod));
     }
 
     /**
@@ -252,10 +396,11 @@ export class StateManager {
         const currentSettings = this.getState('settings');
         const currentDiffSettings = currentSettings.differentiationSettings;
         
-        // Only update the enabled flag, keep fixed values for hue/luminance
+        // Only update the enabled flag and ΔE metric, keep fixed values for hue/luminance
         const updatedDiffSettings = {
             ...currentDiffSettings,
-            enabled: newDifferentiationSettings.enabled
+            enabled: newDifferentiationSettings.enabled,
+            deltaEMethod: newDifferentiationSettings.deltaEMethod || currentDiffSettings.deltaEMethod
             // minHueDifference and minLuminanceDifference remain fixed at 60 and 30
         };
         
@@ -265,10 +410,10 @@ export class StateManager {
     }
 
     /**
-     * Set palettes (base, light optimized, dark optimized) with validation
-     * @param {Object} palettes - Object containing palette arrays
+     * Set palettes (base, light optimized, dark optimized, tonal ramps) with validation
+     * @param {Object} palettes - Object containing palette arrays; p3 and roles are null when turned off
      */
-    setPalettes({ base, lightOptimized, darkOptimized }) {
+    setPalettes({ base, lightOptimized, darkOptimized, tonalRamps, translucent, p3, roles }) {
         const updates = {};
 
         if (Array.isArray(base)) {
@@ -280,6 +425,18 @@ export class StateManager {
         if (Array.isArray(darkOptimized)) {
             updates['darkOptimizedPalette'] = darkOptimized;
         }
+        if (Array.isArray(tonalRamps)) {
+            updates['tonalRamps'] = tonalRamps;
+        }
+        if (translucent && typeof translucent === 'object') {
+            updates['translucentVariants'] = translucent;
+        }
+        if (p3 !== undefined) {
+            updates['p3Variants'] = p3 && typeof p3 === 'object' ? p3 : null;
+        }
+        if (roles !== undefined) {
+            updates['semanticRoles'] = Array.isArray(roles) ? roles : null;
+        }
 
         if (Object.keys(updates).length > 0) {
             this.updateState(updates);
@@ -304,17 +461,42 @@ export class StateManager {
             currentPalette: [],
             lightOptimizedPalette: [],
             darkOptimizedPalette: [],
+            tonalRamps: [],
+            translucentVariants: { light: [], dark: [] },
+            p3Variants: null,
+            semanticRoles: null,
             paletteHistory: [],
             isLoading: false,
             settings: {
                 paletteSize: 5,
                 wcagLevel: 'AA',
                 harmonyType: 'triadic',
+                harmonyAngle: DEFAULT_HARMONY_ANGLE, // Double-complementary rectangle angle
+                harmonyOffsets: [...DEFAULT_HARMONY_OFFSETS], // Custom harmony hue offsets (degrees)
+                harmonySpace: 'hsl',         // Hue wheel for harmonies: 'hsl' or 'oklch'
+                lockedColors: [],            // Base colors kept on regeneration, as {index, hex}
+                variationSeed: null,         // Shuffle mode seed, null for the deterministic palette
                 baseColor: '#5500AA',
+                optimizationMode: 'hsl',
+                contrastMethod: 'wcag2',
+                apcaTarget: 60,
+                lightBackground: '#ffffff',
+                darkBackground: '#2c3e50',
+                surfaces: {
+                    light: [],
+                    dark: []
+                },
+                tonalRampsEnabled: false,
+                displayP3Enabled: false,     // Add Display P3 variants with sRGB fallbacks
+                semanticRolesEnabled: false, // Derive primary/secondary/success/warning/danger/info roles
+                cvdSimulation: 'none',       // Display-only vision simulation
+                cvdSeverity: 100,            // Simulation severity in percent
                 differentiationSettings: {
                     enabled: true,
                     minHueDifference: 60,        // Fixed maximum value
-                    minLuminanceDifference: 30   // Fixed maximum value
+                    minLuminanceDifference: 30,  // Fixed maximum value
+                    minDeltaE: 10,               // Fixed pairwise ΔE target
+                    deltaEMethod: 'ok'           // ΔE metric for minDeltaE
                 }
             }
         };
@@ -3,17 +3,75 @@
  * Core palette generation and optimization logic
  */
 
-import { ColorUtil } from '../core/ColorUtil.js';
-import { colorHarmonies } from '../core/ColorHarmonies.js';
+import { ColorUtil, DELTA_E_LABELS } from '../core/ColorUtil.js';
+import { getHarmony, DEFAULT_HARMONY_ANGLE, DEFAULT_HARMONY_OFFSETS } from '../core/ColorHarmonies.js';
+
+export const MIN_PALETTE_SIZE = 2;
+export const MAX_PALETTE_SIZE = 12;
+
+// Vision deficiencies checked by differentiation unless cvdTypes says otherwise.
+// Achromatopsia is opt-in: with a contrast floor, lightness alone rarely separates more than a few colors.
+export const DEFAULT_DIFFERENTIATION_CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia'];
+
+// Status roles: conventional OKLCH hue, starting lightness (warning reads best lighter) and the
+// largest hue shift toward the base color. Red and amber sit close together, so danger and
+// warning may move less before being mistaken for each other.
+export const SEMANTIC_STATUS_ROLES = {
+    success: { hue: 150, lightness: 0.65, maxHueShift: 15 },
+    warning: { hue: 70, lightness: 0.78, maxHueShift: 10 },
+    danger: { hue: 27, lightness: 0.6, maxHueShift: 8 },
+    info: { hue: 240, lightness: 0.62, maxHueShift: 15 }
+};
+
+// Saturation gap (HSL percentage points) below which two colors of similar lightness are pushed apart
+const MIN_SATURATION_DIFFERENCE = 20;
+
+// Largest variation applied to generated colors in shuffle mode
+const VARIATION_LIMITS = {
+    hue: 8,          // ± degrees, small enough to keep the harmony recognizable
+    saturation: 15,  // ± HSL percentage points
+    lightness: 12,   // ± HSL percentage points
+    oklchLightness: 0.08,
+    oklchChroma: 0.2 // ± fraction of the chroma
+};
+
+/**
+ * Create a random variation seed for shuffle mode
+ * @returns {number} Integer seed from 1 to 2^32 - 1
+ */
+export function createVariationSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFE) + 1;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32), so a seed always
+ * reproduces the same variation
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
 /**
  * Main palette generator class - WITH IMPROVED SIMPLE DIFFERENTIATION
  */
 export class PaletteGenerator {
     constructor() {
-        this.whiteColor = new ColorUtil('#ffffff');
+        this.lightBgColor = new ColorUtil('#ffffff');
         this.darkBgColor = new ColorUtil('#2c3e50');
         this.harmonyType = 'triadic'; // Default value
+        this.optimizationMode = 'hsl'; // 'hsl' or 'oklch'
+        this.contrastMethod = 'wcag2'; // 'wcag2' or 'apca'
+        this.harmonySpace = 'hsl'; // Hue wheel harmonies rotate on: 'hsl' or 'oklch'
+        this.deltaEMethod = 'ok'; // '76', '94', '2000' or 'ok'
     }
 
     /**
@@ -23,80 +81,560 @@ export class PaletteGenerator {
      */
     generatePalette(options) {
         this.harmonyType = options.harmonyType || 'triadic';
+        this.optimizationMode = options.optimizationMode === 'oklch' ? 'oklch' : 'hsl';
+        this.contrastMethod = options.contrastMethod === 'apca' ? 'apca' : 'wcag2';
+        this.harmonySpace = options.harmonySpace === 'oklch' ? 'oklch' : 'hsl';
         const {
             paletteSize = 5,
             wcagLevel = 'AA',
             harmonyType = 'triadic',
+            harmonyAngle = DEFAULT_HARMONY_ANGLE,
+            harmonyOffsets = DEFAULT_HARMONY_OFFSETS,
             baseColor = '#5500AA',
+            apcaTarget = 60,
+            lightBackground = '#ffffff',
+            darkBackground = '#2c3e50',
+            surfaces = {},
+            displayP3Enabled = false,
+            lockedColors = [],
+            variationSeed = null,
+            semanticRolesEnabled = false,
             differentiationSettings = {
                 enabled: true,
                 minHueDifference: 15,
-                minLuminanceDifference: 10
+                minLuminanceDifference: 10,
+                minDeltaE: 10
             }
         } = options;
 
         const size = this.validateSize(paletteSize);
-        console.log(`Generating palette with size: ${size}, harmony: ${harmonyType}, WCAG: ${wcagLevel}`);
+        console.log(`Generating palette with size: ${size}, harmony: ${harmonyType} (${this.harmonySpace}), WCAG: ${wcagLevel}, optimization: ${this.optimizationMode}, contrast: ${this.contrastMethod}${variationSeed ? `, variation seed: ${variationSeed}` : ''}`);
         console.log('Differentiation settings:', differentiationSettings);
 
-        const minContrastRatio = wcagLevel === 'AAA' ? 7 : 4.5;
-        const baseColors = this.generateBaseColors(baseColor, harmonyType, size);
+        const minContrastRatio = this.getContrastTarget(wcagLevel, apcaTarget);
+        this.lightBgColor = this.parseBackground(lightBackground, '#ffffff');
+        this.darkBgColor = this.parseBackground(darkBackground, '#2c3e50');
+        const lightSurfaces = this.resolveSurfaces(this.lightBgColor, surfaces.light);
+        const darkSurfaces = this.resolveSurfaces(this.darkBgColor, surfaces.dark);
+        const lightTarget = this.getSurfaceTarget(lightSurfaces);
+        const darkTarget = this.getSurfaceTarget(darkSurfaces);
+        const baseColors = this.generateBaseColors(baseColor, harmonyType, size, {
+            angle: harmonyAngle,
+            offsets: harmonyOffsets,
+            seed: variationSeed
+        }, lockedColors);
         
-        // Generate optimized versions
-        const lightColors = this.generateOptimizedPalette(baseColors, this.whiteColor, minContrastRatio);
-        const darkColors = this.generateOptimizedPalette(baseColors, this.darkBgColor, minContrastRatio);
+        // Generate optimized versions (against every surface of each theme at once)
+        const lightColors = this.generateOptimizedPalette(baseColors, lightTarget, minContrastRatio);
+        const darkColors = this.generateOptimizedPalette(baseColors, darkTarget, minContrastRatio);
 
         // Apply IMPROVED simple differentiation to optimized palettes if enabled
         if (differentiationSettings.enabled) {
             console.log('Applying IMPROVED simple differentiation...');
-            this.applySimpleDifferentiation(lightColors, this.whiteColor, minContrastRatio, differentiationSettings);
-            this.applySimpleDifferentiation(darkColors, this.darkBgColor, minContrastRatio, differentiationSettings);
+            this.applySimpleDifferentiation(lightColors, lightTarget, minContrastRatio, differentiationSettings);
+            this.applySimpleDifferentiation(darkColors, darkTarget, minContrastRatio, differentiationSettings);
         } else {
             console.log('Color differentiation disabled');
         }
 
+        // Every optimized color must meet the target, whichever search produced it
+        this.ensureMinimumContrast(lightColors, lightTarget, minContrastRatio);
+        this.ensureMinimumContrast(darkColors, darkTarget, minContrastRatio);
+
+        // Report on the final palettes, since the contrast pass may still move colors
+        const differentiationReport = differentiationSettings.enabled ?
+            {
+                light: this.reportIndistinctPairs(lightColors, differentiationSettings),
+                dark: this.reportIndistinctPairs(darkColors, differentiationSettings)
+            } :
+            { light: [], dark: [] };
+
         const result = {
             base: baseColors,
             lightOptimized: lightColors,
-            darkOptimized: darkColors
+            darkOptimized: darkColors,
+            surfaces: {
+                light: lightSurfaces.map(({ name, color }) => ({ name, hex: color.hex })),
+                dark: darkSurfaces.map(({ name, color }) => ({ name, hex: color.hex }))
+            },
+            surfaceContrast: {
+                light: this.getSurfaceContrastReport(lightColors, lightSurfaces),
+                dark: this.getSurfaceContrastReport(darkColors, darkSurfaces)
+            },
+            differentiationReport,
+            translucent: {
+                light: this.generateTranslucentVariants(lightColors, this.lightBgColor, minContrastRatio),
+                dark: this.generateTranslucentVariants(darkColors, this.darkBgColor, minContrastRatio)
+            },
+            p3: displayP3Enabled ? {
+                light: this.generateP3Variants(lightColors, lightTarget, minContrastRatio),
+                dark: this.generateP3Variants(darkColors, darkTarget, minContrastRatio)
+            } : null,
+            roles: semanticRolesEnabled ?
+                this.generateSemanticRoles(baseColors, lightColors, darkColors, lightTarget, darkTarget, minContrastRatio) :
+                null
         };
 
         console.log('Generated palettes:', result);
         return result;
     }
 
+    /**
+     * Derive semantic roles: primary and secondary are the first two palette colors; success,
+     * warning, danger and info stay near their conventional hues, turned slightly toward the base hue,
+     * and are optimized for both themes. Status colors always use the OKLCH lightness search,
+     * which keeps their hue (a danger color must stay red).
+     * @param {ColorUtil[]} baseColors - Base palette
+     * @param {ColorUtil[]} lightColors - Light optimized palette
+     * @param {ColorUtil[]} darkColors - Dark optimized palette
+     * @param {ColorUtil|ColorUtil[]} lightTarget - Light theme background or surfaces
+     * @param {ColorUtil|ColorUtil[]} darkTarget - Dark theme background or surfaces
+     * @param {number} minContrastRatio - Text contrast target
+     * @returns {Object[]} Roles as {role, base, light, dark}
+     */
+    generateSemanticRoles(baseColors, lightColors, darkColors, lightTarget, darkTarget, minContrastRatio) {
+        const optimize = (color, target) => this.measureContrast(color, target) >= minContrastRatio ?
+            color :
+            this.findOptimalOklchColor(color, target, minContrastRatio);
+
+        const roles = ['primary', 'secondary'].map((role, index) => ({
+            role,
+            base: baseColors[index],
+            light: lightColors[index],
+            dark: darkColors[index]
+        }));
+
+        Object.keys(SEMANTIC_STATUS_ROLES).forEach(role => {
+            const base = this.deriveStatusColor(baseColors[0], role);
+            roles.push({
+                role,
+                base,
+                light: optimize(base, lightTarget),
+                dark: optimize(base, darkTarget)
+            });
+        });
+
+        return roles;
+    }
+
+    /**
+     * Derive a status color harmonized with the base color
+     * @param {ColorUtil} baseColor - Base (primary) color
+     * @param {string} role - 'success', 'warning', 'danger' or 'info'
+     * @returns {ColorUtil} Status color (sRGB gamut mapped)
+     */
+    deriveStatusColor(baseColor, role) {
+        const { hue, lightness, maxHueShift } = SEMANTIC_STATUS_ROLES[role];
+        const { c, h } = baseColor.oklch;
+
+        // Turn toward the base hue by half the distance, up to the role's limit.
+        // Near-neutral bases have no meaningful hue to harmonize with.
+        let shift = 0;
+        if (c >= 0.02) {
+            const difference = ((h - hue + 540) % 360) - 180;
+            shift = Math.sign(difference) * Math.min(Math.abs(difference) / 2, maxHueShift);
+        }
+
+        // Follow the brand's colorfulness, but keep statuses clearly colored and not garish
+        const chroma = Math.max(0.12, Math.min(0.2, c));
+        const mapped = ColorUtil.gamutMapOklch(lightness, chroma, (hue + shift + 360) % 360, 'srgb');
+        return ColorUtil.fromOklch(mapped.l, mapped.c, mapped.h);
+    }
+
+    /**
+     * Derive wide-gamut Display P3 variants of optimized colors. Each color keeps its OKLCH
+     * lightness and hue; its chroma is scaled from the sRGB gamut edge to the P3 gamut edge,
+     * so vivid colors become more vivid and muted ones stay proportionally muted. Chroma is
+     * then stepped back toward the sRGB value until the variant meets the contrast target.
+     * @param {ColorUtil[]} palette - Optimized colors (the sRGB fallbacks)
+     * @param {ColorUtil|ColorUtil[]} backgroundColor - Theme background or all theme surfaces
+     * @param {number} minContrastRatio - Text contrast target
+     * @returns {Object[]} Per color {css, p3: {r, g, b}, fallback, contrast, wideGamut}
+     */
+    generateP3Variants(palette, backgroundColor, minContrastRatio) {
+        return palette.map(color => {
+            const { l, c, h } = color.oklch;
+            const srgbEdge = ColorUtil.gamutMapOklch(l, 0.5, h, 'srgb').c;
+            const p3Edge = ColorUtil.gamutMapOklch(l, 0.5, h, 'display-p3').c;
+
+            // Near-neutral colors gain nothing from a wider gamut
+            if (c >= 0.02 && srgbEdge > 0 && p3Edge > c) {
+                const boosted = Math.min(p3Edge, c / srgbEdge * p3Edge);
+                for (let step = 0; step < 10; step++) {
+                    const chroma = boosted - (boosted - c) * step / 10;
+                    const mapped = ColorUtil.gamutMapOklch(l, chroma, h, 'display-p3');
+                    const p3 = color.oklchToDisplayP3(mapped.l, mapped.c, mapped.h);
+                    const contrast = this.measureP3Contrast(p3, backgroundColor);
+
+                    if (contrast >= minContrastRatio) {
+                        return this.describeP3Variant(color, p3, contrast, mapped.c > c + 0.005);
+                    }
+                }
+            }
+
+            // The sRGB color already meets the target and is exactly representable in P3
+            return this.describeP3Variant(color, color.displayP3, this.measureContrast(color, backgroundColor), false);
+        });
+    }
+
+    /**
+     * Measure contrast of a Display P3 text color with the current contrast method
+     * @param {Object} p3 - P3 channels {r, g, b}
+     * @param {ColorUtil|ColorUtil[]} backgroundColor - Background color, or surfaces to take the minimum over
+     * @returns {number} WCAG 2.x ratio or absolute APCA Lc value
+     */
+    measureP3Contrast(p3, backgroundColor) {
+        if (Array.isArray(backgroundColor)) {
+            return Math.min(...backgroundColor.map(bg => this.measureP3Contrast(p3, bg)));
+        }
+        if (this.contrastMethod === 'apca') {
+            return Math.abs(backgroundColor.getDisplayP3APCAContrast(p3));
+        }
+        return backgroundColor.getDisplayP3ContrastRatio(p3);
+    }
+
+    /**
+     * Describe a Display P3 variant for reports and exports
+     * @param {ColorUtil} color - sRGB fallback color
+     * @param {Object} p3 - P3 channels {r, g, b}
+     * @param {number} contrast - Contrast of the P3 color
+     * @param {boolean} wideGamut - Whether the variant lies outside sRGB
+     * @returns {Object} Variant as {css, p3, fallback, contrast, wideGamut}
+     */
+    describeP3Variant(color, p3, contrast, wideGamut) {
+        const clamp = (v) => Math.max(0, Math.min(1, v));
+        return {
+            css: color.displayP3ToCss(p3),
+            p3: { r: clamp(p3.r), g: clamp(p3.g), b: clamp(p3.b) },
+            fallback: color.hex,
+            contrast: Math.round(contrast * 100) / 100,
+            wideGamut
+        };
+    }
+
+    /**
+     * Derive accessible translucent variants of each color on a theme background:
+     * - text: lowest alpha at which the color still meets the text contrast target
+     * - disabled: lowest alpha that stays perceivable (3:1, or Lc 30 in APCA mode)
+     * - overlay: highest tint alpha (≤ 30%) for a hover surface the opaque color remains readable on
+     * @param {ColorUtil[]} palette - Optimized colors
+     * @param {ColorUtil} backgroundColor - Theme background
+     * @param {number} minContrastRatio - Text contrast target
+     * @returns {Object[]} Per color {text, disabled, overlay}, each {alpha, css, effective, contrast} or null
+     */
+    generateTranslucentVariants(palette, backgroundColor, minContrastRatio) {
+        const nonTextTarget = this.contrastMethod === 'apca' ? 30 : 3;
+
+        return palette.map(color => ({
+            text: this.findMinimumAlpha(color, backgroundColor, minContrastRatio),
+            disabled: this.findMinimumAlpha(color, backgroundColor, nonTextTarget),
+            overlay: this.findOverlayAlpha(color, backgroundColor, minContrastRatio)
+        }));
+    }
+
+    /**
+     * Find the lowest alpha (1% steps) at which a color meets a contrast target over a background
+     * @param {ColorUtil} color - Opaque color
+     * @param {ColorUtil} backgroundColor - Background color
+     * @param {number} target - Contrast target
+     * @returns {Object|null} Variant, or null when even the opaque color falls short
+     */
+    findMinimumAlpha(color, backgroundColor, target) {
+        for (let percent = 1; percent <= 100; percent++) {
+            const candidate = color.withAlpha(percent / 100);
+            const contrast = this.measureContrast(candidate, backgroundColor);
+            if (contrast >= target) {
+                return this.describeTranslucentVariant(candidate, candidate.compositeOver(backgroundColor), contrast);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the strongest tint of a color (30% down to 4%) that the opaque color stays readable on
+     * @param {ColorUtil} color - Opaque color
+     * @param {ColorUtil} backgroundColor - Background the tint is laid over
+     * @param {number} target - Contrast target for the color as text on the tinted surface
+     * @returns {Object|null} Variant with the tinted surface as effective color, or null
+     */
+    findOverlayAlpha(color, backgroundColor, target) {
+        for (let percent = 30; percent >= 4; percent -= 2) {
+            const overlay = color.withAlpha(percent / 100);
+            const surface = overlay.compositeOver(backgroundColor);
+            const contrast = this.measureContrast(color, surface);
+            if (contrast >= target) {
+                return this.describeTranslucentVariant(overlay, surface, contrast);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Describe a translucent variant for reports and exports
+     * @param {ColorUtil} color - Translucent color
+     * @param {ColorUtil} effectiveColor - Color as rendered on the background
+     * @param {number} contrast - Effective contrast
+     * @returns {Object} Variant as {alpha, css, effective, contrast}
+     */
+    describeTranslucentVariant(color, effectiveColor, contrast) {
+        return {
+            alpha: color.alpha,
+            css: color.toRgbString(),
+            effective: effectiveColor.hex,
+            contrast: Math.round(contrast * 100) / 100
+        };
+    }
+
+    /**
+     * Parse a background color, falling back to a default when invalid
+     * @param {string} background - Background color hex value
+     * @param {string} fallback - Default background hex value
+     * @returns {ColorUtil} Background color
+     */
+    parseBackground(background, fallback) {
+        if (typeof background === 'string' && /^#[0-9A-Fa-f]{6}$/.test(background)) {
+            return new ColorUtil(background);
+        }
+        console.warn(`Invalid background color: ${background}, using ${fallback}`);
+        return new ColorUtil(fallback);
+    }
+
+    /**
+     * Resolve the named surfaces of a theme. The theme background always comes first
+     * as 'background', followed by any additional valid surfaces.
+     * @param {ColorUtil} background - Theme background color
+     * @param {Object[]} extraSurfaces - Additional surfaces ({name, color})
+     * @returns {Object[]} Surfaces as {name, color: ColorUtil}
+     */
+    resolveSurfaces(background, extraSurfaces = []) {
+        const surfaces = [{ name: 'background', color: background }];
+
+        (Array.isArray(extraSurfaces) ? extraSurfaces : []).forEach((surface, index) => {
+            if (!surface || typeof surface.color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(surface.color)) {
+                console.warn('Ignoring invalid surface:', surface);
+                return;
+            }
+            surfaces.push({
+                name: surface.name || `surface-${index + 1}`,
+                color: new ColorUtil(surface.color)
+            });
+        });
+
+        return surfaces;
+    }
+
+    /**
+     * Get the background argument used by the optimizer for a list of surfaces
+     * @param {Object[]} surfaces - Resolved surfaces
+     * @returns {ColorUtil|ColorUtil[]} Single background, or all surface colors
+     */
+    getSurfaceTarget(surfaces) {
+        return surfaces.length === 1 ? surfaces[0].color : surfaces.map(surface => surface.color);
+    }
+
+    /**
+     * Report per-surface contrast for each color and the binding (lowest contrast) surface
+     * @param {ColorUtil[]} palette - Optimized palette
+     * @param {Object[]} surfaces - Resolved surfaces
+     * @returns {Object[]} Per-color {ratios: {surfaceName: contrast}, binding: surfaceName}
+     */
+    getSurfaceContrastReport(palette, surfaces) {
+        return palette.map(color => {
+            const ratios = {};
+            let binding = surfaces[0].name;
+
+            surfaces.forEach(({ name, color: surfaceColor }) => {
+                ratios[name] = this.measureContrast(color, surfaceColor);
+                if (ratios[name] < ratios[binding]) {
+                    binding = name;
+                }
+            });
+
+            return { ratios, binding };
+        });
+    }
+
+    /**
+     * Check whether a background (or set of surfaces) is light on average
+     * @param {ColorUtil|ColorUtil[]} backgroundColor - Background color or surface colors
+     * @returns {boolean} Whether the background is light
+     */
+    isLightBackground(backgroundColor) {
+        const backgrounds = Array.isArray(backgroundColor) ? backgroundColor : [backgroundColor];
+        const averageLuminance = backgrounds.reduce((sum, bg) => sum + bg.getLuminance(), 0) / backgrounds.length;
+        return averageLuminance > 0.5;
+    }
+
+    /**
+     * Get the contrast target for the active contrast method
+     * @param {string} wcagLevel - WCAG level ('AA' or 'AAA'), used for WCAG 2.x ratios
+     * @param {number} apcaTarget - APCA Lc target, used when the method is 'apca'
+     * @returns {number} Contrast ratio or absolute Lc value
+     */
+    getContrastTarget(wcagLevel, apcaTarget) {
+        if (this.contrastMethod === 'apca') {
+            return Number(apcaTarget) || 60;
+        }
+        return wcagLevel === 'AAA' ? 7 : 4.5;
+    }
+
+    /**
+     * Measure contrast of a text color on a background with the active contrast method.
+     * Returns a WCAG 2.x ratio, or the absolute APCA Lc value so that "higher is better"
+     * holds for both methods. For a set of surfaces the lowest contrast is returned,
+     * so a color only passes when it works on all of them.
+     * @param {ColorUtil} textColor - Foreground (text) color
+     * @param {ColorUtil|ColorUtil[]} backgroundColor - Background color or surface colors
+     * @returns {number} Contrast ratio or absolute Lc value
+     */
+    measureContrast(textColor, backgroundColor) {
+        if (Array.isArray(backgroundColor)) {
+            return Math.min(...backgroundColor.map(bg => this.measureContrast(textColor, bg)));
+        }
+        if (this.contrastMethod === 'apca') {
+            return Math.abs(textColor.getAPCAContrast(backgroundColor));
+        }
+        return textColor.getContrastRatio(backgroundColor);
+    }
+
+    /**
+     * Get the upper contrast bound used to avoid overshooting the target
+     * @param {number} target - Contrast ratio or Lc target
+     * @returns {number} Upper bound
+     */
+    getContrastUpperBound(target) {
+        if (this.contrastMethod === 'apca') {
+            return target + 15;
+        }
+        return target === 4.5 ? 6.0 : 8.5;
+    }
+
+    /**
+     * Get the HSL lightness step used when searching for a compliant color.
+     * Lc targets are all above 7 but Lc changes much faster per lightness point
+     * than a WCAG ratio, so APCA always uses single steps.
+     * @param {number} target - Contrast ratio or Lc target
+     * @returns {number} Lightness step (HSL points)
+     */
+    getLightnessSearchStep(target) {
+        if (this.contrastMethod === 'apca') {
+            return 1;
+        }
+        return target >= 7 ? 1 : 2;
+    }
+
     /**
      * Validate and sanitize palette size
      * @param {number|string} size - Requested size
-     * @returns {number} Valid size (3 or 5)
+     * @returns {number} Valid size (MIN_PALETTE_SIZE to MAX_PALETTE_SIZE)
      */
     validateSize(size) {
         const numSize = parseInt(size);
-        if (numSize === 3 || numSize === 5) {
-            return numSize;
+        if (Number.isNaN(numSize)) {
+            console.warn(`Invalid palette size: ${size}, defaulting to 5`);
+            return 5;
+        }
+        if (numSize < MIN_PALETTE_SIZE || numSize > MAX_PALETTE_SIZE) {
+            const clamped = Math.max(MIN_PALETTE_SIZE, Math.min(MAX_PALETTE_SIZE, numSize));
+            console.warn(`Palette size ${size} out of range, using ${clamped}`);
+            return clamped;
         }
-        console.warn(`Invalid palette size: ${size}, defaulting to 5`);
-        return 5;
+        return numSize;
     }
 
     /**
-     * Generate base color palette using harmony algorithm
+     * Spread values evenly between two bounds
+     * @param {number} count - Number of values
+     * @param {number} min - First value
+     * @param {number} max - Last value
+     * @returns {number[]} Evenly spaced values from min to max
+     */
+    spreadEvenly(count, min, max) {
+        if (count <= 1) {
+            return [(min + max) / 2];
+        }
+        return Array.from({ length: count }, (_, i) => min + (max - min) * i / (count - 1));
+    }
+
+    /**
+     * Get saturation and lightness levels for the generated (non-base) colors of a palette.
+     * The hand-tuned tables for 3 and 5 colors are kept so existing palettes don't change;
+     * other sizes interleave evenly spread lightness values so neighbours stay distinct.
+     * @param {number} totalSize - Total palette size
+     * @returns {Object} {saturation: number[], lightness: number[]} indexed by (index - 1)
+     */
+    getHarmonyLevels(totalSize) {
+        if (totalSize === 3) {
+            return { saturation: [75, 60, 85], lightness: [50, 35, 70] };
+        }
+        if (totalSize === 5) {
+            return { saturation: [75, 60, 85, 50, 80], lightness: [50, 35, 70, 20, 80] };
+        }
+
+        const count = totalSize - 1;
+        const sorted = this.spreadEvenly(count, 20, 80).map(Math.round);
+        const lightness = [];
+        // Interleave from the middle outwards: mid, darker, lighter, darker, ...
+        const middle = Math.floor((count - 1) / 2);
+        for (let offset = 0; lightness.length < count; offset++) {
+            if (middle - offset >= 0) lightness.push(sorted[middle - offset]);
+            if (offset > 0 && middle + offset < count) lightness.push(sorted[middle + offset]);
+        }
+
+        // Golden-ratio stepping gives well-mixed saturation without repeating patterns
+        const saturation = lightness.map((_, i) => Math.round(50 + 35 * ((i * 0.618034) % 1)));
+
+        return { saturation, lightness };
+    }
+
+    /**
+     * Get lightness levels for the generated colors of a monochromatic palette
+     * @param {number} totalSize - Total palette size
+     * @returns {number[]} Lightness values indexed by (index - 1)
+     */
+    getMonochromaticLightnessLevels(totalSize) {
+        if (totalSize === 3) {
+            return [30, 50, 70];
+        }
+        if (totalSize === 5) {
+            return [15, 35, 55, 75, 90];
+        }
+        return this.spreadEvenly(totalSize - 1, 15, 90).map(Math.round);
+    }
+
+    /**
+     * Generate base color palette using harmony algorithm.
+     * Hues are rotated on the HSL wheel, or on the OKLCH wheel when harmonySpace is 'oklch'.
+     * Locked colors keep their exact value; a locked first color also anchors the harmony
+     * in place of the base color. Generated colors are then fitted around the locked ones.
+     * With a seed, generated colors are varied reproducibly (see applyVariation).
      * @param {string} baseColor - Base color hex value
      * @param {string} harmonyType - Type of harmony to use
      * @param {number} size - Number of colors to generate
+     * @param {Object} harmonyOptions - Harmony options ({angle} for double-complementary, {offsets} for custom,
+     *                                  {seed} for shuffle mode)
+     * @param {Object[]} lockedColors - Locked colors as {index, hex}; indices beyond size are ignored
      * @returns {ColorUtil[]} Array of base colors
      */
-    generateBaseColors(baseColor, harmonyType, size) {
+    generateBaseColors(baseColor, harmonyType, size, harmonyOptions = {}, lockedColors = []) {
+        const locked = this.resolveLockedColors(lockedColors, size);
         let color;
         try {
-            color = new ColorUtil(baseColor);
+            color = locked.get(0) || new ColorUtil(baseColor);
         } catch (e) {
             console.warn('Invalid base color, using default:', baseColor);
             color = new ColorUtil('#5500AA');
         }
         
-        const baseHue = color.hsl.h;
-        const harmonyHues = colorHarmonies[harmonyType](baseHue);
+        const isOklch = this.harmonySpace === 'oklch';
+        const baseHue = isOklch ? color.oklch.h : color.hsl.h;
+        let harmony = getHarmony(harmonyType);
+        if (!harmony) {
+            console.warn(`Unknown harmony type: ${harmonyType}, using triadic`);
+            harmony = getHarmony('triadic');
+        }
+        const harmonyHues = harmony.hues(baseHue, harmonyOptions);
+        const random = harmonyOptions.seed ? createSeededRandom(harmonyOptions.seed) : null;
         const colors = [];
 
         console.log(`Generating ${size} base colors for ${harmonyType} harmony`);
@@ -104,27 +642,122 @@ export class PaletteGenerator {
         for (let i = 0; i < size; i++) {
             let generatedColor;
             
-            if (i === 0) {
-                generatedColor = new ColorUtil(baseColor);
+            if (locked.has(i)) {
+                generatedColor = locked.get(i);
+            } else if (i === 0) {
+                generatedColor = new ColorUtil(color.hex);
             } else {
-                generatedColor = this.generateColorFromHarmony(
-                    color, 
-                    harmonyHues, 
-                    harmonyType, 
-                    i,
-                    size
-                );
+                generatedColor = isOklch ?
+                    this.generateOklchColorFromHarmony(color, harmonyHues, harmonyType, i, size) :
+                    this.generateColorFromHarmony(
+                        color, 
+                        harmonyHues, 
+                        harmonyType, 
+                        i,
+                        size
+                    );
+            }
+
+            if (random && i > 0) {
+                // Draw for every slot so locking a color doesn't change the others' variation
+                const variation = [random(), random(), random()];
+                if (!locked.has(i)) {
+                    generatedColor = this.applyVariation(generatedColor, variation);
+                }
             }
             
             colors.push(generatedColor);
         }
 
+        if (locked.size > 0) {
+            this.fitAroundLockedColors(colors, locked);
+        }
+
         console.log('Generated base colors:', colors.map(c => c.hex));
         return colors;
     }
 
     /**
-     * Generate a color from harmony algorithm - COMPLETELY DETERMINISTIC
+     * Vary a generated color for shuffle mode: a small hue offset plus saturation and lightness
+     * (or OKLCH chroma and lightness) shifts, within the limits the generator itself uses
+     * @param {ColorUtil} color - Generated color
+     * @param {number[]} variation - Three random numbers in [0, 1) for hue, saturation/chroma and lightness
+     * @returns {ColorUtil} Varied color
+     */
+    applyVariation(color, variation) {
+        const [hueShift, colorfulnessShift, lightnessShift] = variation.map(value => value * 2 - 1);
+
+        if (this.harmonySpace === 'oklch') {
+            const { l, c, h } = color.oklch;
+            const mapped = ColorUtil.gamutMapOklch(
+                Math.max(0.15, Math.min(0.9, l + lightnessShift * VARIATION_LIMITS.oklchLightness)),
+                c * (1 + colorfulnessShift * VARIATION_LIMITS.oklchChroma),
+                (h + hueShift * VARIATION_LIMITS.hue + 360) % 360,
+                'srgb'
+            );
+            return ColorUtil.fromOklch(mapped.l, mapped.c, mapped.h);
+        }
+
+        const { h, s, l } = color.hsl;
+        return ColorUtil.fromHsl(
+            (h + hueShift * VARIATION_LIMITS.hue + 360) % 360,
+            Math.max(20, Math.min(95, s + colorfulnessShift * VARIATION_LIMITS.saturation)),
+            Math.max(10, Math.min(90, l + lightnessShift * VARIATION_LIMITS.lightness))
+        );
+    }
+
+    /**
+     * Parse locked colors into a map of palette index to color
+     * @param {Object[]} lockedColors - Locked colors as {index, hex}
+     * @param {number} size - Palette size
+     * @returns {Map<number, ColorUtil>} Locked colors by index
+     */
+    resolveLockedColors(lockedColors, size) {
+        const locked = new Map();
+        (Array.isArray(lockedColors) ? lockedColors : []).forEach(({ index, hex }) => {
+            if (!Number.isInteger(index) || index < 0 || index >= size) return;
+            try {
+                locked.set(index, new ColorUtil(hex));
+            } catch (e) {
+                console.warn(`Ignoring invalid locked color ${index + 1}:`, hex);
+            }
+        });
+        return locked;
+    }
+
+    /**
+     * Move generated colors that collide with a locked color. Hue and saturation are kept
+     * so the color stays in its harmony slot; only HSL lightness steps away (up to ±30).
+     * The first color is left alone since it is the user's base color.
+     * @param {ColorUtil[]} colors - Base palette (modified in place)
+     * @param {Map<number, ColorUtil>} locked - Locked colors by index
+     */
+    fitAroundLockedColors(colors, locked) {
+        const MIN_LOCKED_DELTA_E = 10;
+        const lockedColors = [...locked.values()];
+        const collides = (candidate) => lockedColors.some(lockedColor =>
+            candidate.getDeltaE(lockedColor, this.deltaEMethod) < MIN_LOCKED_DELTA_E
+        );
+
+        colors.forEach((color, index) => {
+            if (index === 0 || locked.has(index) || !collides(color)) return;
+
+            const { h, s, l } = color.hsl;
+            for (const step of [10, -10, 20, -20, 30, -30]) {
+                const candidate = ColorUtil.fromHsl(h, s, Math.max(10, Math.min(90, l + step)));
+                if (!collides(candidate)) {
+                    console.log(`Fitted color ${index + 1} around locked colors: ${color.hex} → ${candidate.hex}`);
+                    colors[index] = candidate;
+                    return;
+                }
+            }
+        });
+    }
+
+    /**
+     * Generate a color from harmony algorithm - COMPLETELY DETERMINISTIC.
+     * Hue, saturation and lightness come from getHarmonyProfile; shuffle mode varies
+     * the result afterwards with a seed (applyVariation).
      * @param {ColorUtil} baseColor - Base color
      * @param {number[]} harmonyHues - Array of harmony hues
      * @param {string} harmonyType - Type of harmony
@@ -133,64 +766,75 @@ export class PaletteGenerator {
      * @returns {ColorUtil} Generated color
      */
     generateColorFromHarmony(baseColor, harmonyHues, harmonyType, index, totalSize) {
-        let hue = harmonyHues[index % harmonyHues.length];
-        let saturation, lightness;
+        const { hue, saturation, lightness } = this.getHarmonyProfile(baseColor, harmonyHues, harmonyType, index, totalSize);
+        return ColorUtil.fromHsl(hue, saturation, lightness);
+    }
 
-        if (harmonyType === 'monochromatic') {
-            const hueVariation = (index - 1) * 10; 
-            hue = (baseColor.hsl.h + hueVariation) % 360;
-            
-            saturation = Math.max(30, Math.min(90, baseColor.hsl.s + (index - 2) * 15));
-            
-            if (totalSize === 3) {
-                const lightnessLevels = [30, 50, 70];
-                lightness = lightnessLevels[index - 1] || 50;
-            } else {
-                const lightnessLevels = [15, 35, 55, 75, 90]; 
-                lightness = lightnessLevels[index - 1] || 50;
-            }
-        } else {
-            // Add the missing non-monochromatic case
-            if (totalSize === 3) {
-                const saturationLevels = [75, 60, 85];
-                const lightnessLevels = [50, 35, 70];
-                
-                saturation = saturationLevels[index - 1] || 70;
-                lightness = lightnessLevels[index - 1] || 50;
-            } else {
-                const saturationLevels = [75, 60, 85, 50, 80];
-                const lightnessLevels = [50, 35, 70, 20, 80];
-                
-                saturation = saturationLevels[index - 1] || 70;
-                lightness = lightnessLevels[index - 1] || 50;
-            }
-            
-            if (harmonyType === 'complementary') {
-                if (index === 1) {
-                    saturation = Math.min(85, saturation + 10);
-                    lightness = Math.max(20, lightness - 5);
-                }
-            } else if (harmonyType === 'analogous') {
-                saturation = Math.max(50, saturation - 5);
-                if (index === 2) lightness = Math.min(80, lightness + 10);
-            } else if (harmonyType === 'tetradic') {
-                if (index % 2 === 1) {
-                    lightness = Math.max(15, lightness - 10);
-                } else {
-                    lightness = Math.min(85, lightness + 10);
-                }
-            }
-        }
+    /**
+     * Generate a color from harmony algorithm on the OKLCH hue wheel. Colors on distinct
+     * harmony hues keep the base color's OKLCH lightness and chroma, so they look equally
+     * bright and vivid. Colors that repeat a hue (single-hue harmonies, or palettes larger
+     * than the harmony) take their lightness from the harmony profile to stay distinguishable.
+     * Out-of-gamut results are gamut mapped to sRGB.
+     * @param {ColorUtil} baseColor - Base color
+     * @param {number[]} harmonyHues - Array of OKLCH harmony hues
+     * @param {string} harmonyType - Type of harmony
+     * @param {number} index - Color index in palette
+     * @param {number} totalSize - Total palette size
+     * @returns {ColorUtil} Generated color
+     */
+    generateOklchColorFromHarmony(baseColor, harmonyHues, harmonyType, index, totalSize) {
+        const MIN_HARMONY_CHROMA = 0.1; // Near-neutral bases would otherwise give an all-gray palette
+        const { l, c } = baseColor.oklch;
+        const hue = harmonyHues[index % harmonyHues.length];
+        const harmony = getHarmony(harmonyType);
+        const repeatsHue = (harmony && harmony.singleHue) || index >= harmonyHues.length;
+
+        const lightness = repeatsHue ?
+            this.getHarmonyProfile(baseColor, harmonyHues, harmonyType, index, totalSize).lightness / 100 :
+            l;
+        const mapped = ColorUtil.gamutMapOklch(lightness, Math.max(c, MIN_HARMONY_CHROMA), hue, 'srgb');
 
+        return ColorUtil.fromOklch(mapped.l, mapped.c, mapped.h);
+    }
+
+    /**
+     * Resolve hue, saturation and lightness of a generated color. The harmony's registered
+     * profile adjusts the default saturation and lightness levels.
+     * @param {ColorUtil} baseColor - Base color
+     * @param {number[]} harmonyHues - Array of harmony hues
+     * @param {string} harmonyType - Type of harmony
+     * @param {number} index - Color index in palette
+     * @param {number} totalSize - Total palette size
+     * @returns {Object} Clamped {hue, saturation, lightness} (HSL scale)
+     */
+    getHarmonyProfile(baseColor, harmonyHues, harmonyType, index, totalSize) {
+        const levels = this.getHarmonyLevels(totalSize);
+        const defaults = {
+            hue: harmonyHues[index % harmonyHues.length],
+            saturation: levels.saturation[index - 1] || 70,
+            lightness: levels.lightness[index - 1] || 50
+        };
+        const harmony = getHarmony(harmonyType);
+        const overrides = harmony ? harmony.profile({
+            ...defaults,
+            index,
+            totalSize,
+            base: baseColor.hsl,
+            tonalLightness: this.getMonochromaticLightnessLevels(totalSize)[index - 1] || 50
+        }) : {};
+
+        const { hue } = { ...defaults, ...overrides };
+        let { saturation, lightness } = { ...defaults, ...overrides };
         saturation = Math.max(20, Math.min(95, saturation));
         lightness = Math.max(10, Math.min(90, lightness));
 
-        return ColorUtil.fromHsl(hue, saturation, lightness);
+        return { hue, saturation, lightness };
     }
     /**
      * Generate optimized palette for specific background
      * @param {ColorUtil[]} baseColors - Base color palette
-     * @param {ColorUtil} backgroundColor - Background color
+     * @param {ColorUtil|ColorUtil[]} backgroundColor - Background color, or all surfaces of a theme
      * @param {number} minContrastRatio - Minimum contrast ratio
      * @returns {ColorUtil[]} Optimized color palette
      */
@@ -210,8 +854,8 @@ export class PaletteGenerator {
      * @returns {ColorUtil} Optimized color
      */
     optimizeColorForBackground(originalColor, backgroundColor, targetRatio, colorIndex, totalColors) {
-        const currentContrast = originalColor.getContrastRatio(backgroundColor);
-        const upperBound = targetRatio === 4.5 ? 6.0 : 8.5;
+        const currentContrast = this.measureContrast(originalColor, backgroundColor);
+        const upperBound = this.getContrastUpperBound(targetRatio);
         
         if (currentContrast >= targetRatio) {
             if (currentContrast <= upperBound) {
@@ -234,8 +878,12 @@ export class PaletteGenerator {
      * @returns {ColorUtil} Optimal color
      */
     findOptimalColor(originalColor, backgroundColor, targetRatio, upperBound, colorIndex, totalColors) {
+        if (this.optimizationMode === 'oklch') {
+            return this.findOptimalOklchColor(originalColor, backgroundColor, targetRatio);
+        }
+
         const originalHsl = originalColor.hsl;
-        const isLightBackground = backgroundColor.getLuminance() > 0.5;
+        const isLightBackground = this.isLightBackground(backgroundColor);
         
         const targetLightnessRange = this.getTargetLightnessRange(
             isLightBackground, 
@@ -245,11 +893,11 @@ export class PaletteGenerator {
         );
         
         let bestColor = originalColor;
-        let bestContrast = originalColor.getContrastRatio(backgroundColor);
+        let bestContrast = this.measureContrast(originalColor, backgroundColor);
         
         for (let l = targetLightnessRange[0]; l <= targetLightnessRange[1]; l += 2) {
             const testColor = ColorUtil.fromHsl(originalHsl.h, originalHsl.s, l);
-            const testContrast = testColor.getContrastRatio(backgroundColor);
+            const testContrast = this.measureContrast(testColor, backgroundColor);
             
             if (testContrast >= targetRatio && testContrast <= upperBound) {
                 return testColor;
@@ -264,6 +912,115 @@ export class PaletteGenerator {
         return this.expandedColorSearch(originalHsl, backgroundColor, targetRatio, isLightBackground, targetLightnessRange, bestColor);
     }
 
+    /**
+     * Snap a manually edited color to a nearby color that meets the contrast target on a theme.
+     * Uses the same search as optimization, so hue is kept and mostly lightness changes.
+     * @param {ColorUtil} color - Edited color
+     * @param {string} backgroundType - 'light' or 'dark'
+     * @param {Object} settings - Current settings (contrast, optimization and background options)
+     * @param {number} colorIndex - Index in palette
+     * @param {number} totalColors - Total colors in palette
+     * @returns {ColorUtil} The color itself when it already passes, otherwise the snapped color
+     */
+    snapToCompliant(color, backgroundType, settings, colorIndex, totalColors) {
+        const { target, backgroundColor } = this.getEditingContext(backgroundType, settings);
+        if (this.measureContrast(color, backgroundColor) >= target) {
+            return color;
+        }
+        return this.findOptimalColor(color, backgroundColor, target, this.getContrastUpperBound(target), colorIndex, totalColors);
+    }
+
+    /**
+     * Recompute the translucent and Display P3 variants of a manually edited optimized color
+     * @param {ColorUtil} color - Edited color
+     * @param {string} backgroundType - 'light' or 'dark'
+     * @param {Object} settings - Current settings
+     * @returns {Object} Variants as {translucent, p3}; p3 is null when Display P3 is off
+     */
+    getEditedColorVariants(color, backgroundType, settings) {
+        const { target, background, backgroundColor } = this.getEditingContext(backgroundType, settings);
+        return {
+            translucent: this.generateTranslucentVariants([color], background, target)[0],
+            p3: settings.displayP3Enabled ? this.generateP3Variants([color], backgroundColor, target)[0] : null
+        };
+    }
+
+    /**
+     * Apply the contrast settings used for manual edits and resolve a theme's surfaces
+     * @param {string} backgroundType - 'light' or 'dark'
+     * @param {Object} settings - Current settings
+     * @returns {Object} {target, background: ColorUtil, backgroundColor: ColorUtil|ColorUtil[]}
+     */
+    getEditingContext(backgroundType, settings) {
+        this.harmonyType = settings.harmonyType || 'triadic';
+        this.optimizationMode = settings.optimizationMode === 'oklch' ? 'oklch' : 'hsl';
+        this.contrastMethod = settings.contrastMethod === 'apca' ? 'apca' : 'wcag2';
+
+        const isDark = backgroundType === 'dark';
+        const background = isDark ?
+            this.parseBackground(settings.darkBackground, '#2c3e50') :
+            this.parseBackground(settings.lightBackground, '#ffffff');
+        const surfaces = this.resolveSurfaces(background, (settings.surfaces || {})[isDark ? 'dark' : 'light']);
+
+        return {
+            target: this.getContrastTarget(settings.wcagLevel, settings.apcaTarget ?? 60),
+            background,
+            backgroundColor: this.getSurfaceTarget(surfaces)
+        };
+    }
+
+    /**
+     * Find the nearest OKLCH lightness that meets the contrast target.
+     * Hue is held constant and chroma is only reduced where the sRGB gamut requires it,
+     * so the result stays recognizably the same color as the original.
+     * @param {ColorUtil} originalColor - Original color
+     * @param {ColorUtil} backgroundColor - Background color
+     * @param {number} targetRatio - Target contrast ratio
+     * @returns {ColorUtil} Closest compliant color or best alternative
+     */
+    findOptimalOklchColor(originalColor, backgroundColor, targetRatio) {
+        const { l, c, h } = originalColor.oklch;
+        const searchDirection = this.isLightBackground(backgroundColor) ? -1 : 1;
+
+        let bestColor = originalColor;
+        let bestContrast = this.measureContrast(originalColor, backgroundColor);
+
+        for (let step = 1; step <= 200; step++) {
+            const lightness = l + searchDirection * step * 0.005;
+            if (lightness < 0 || lightness > 1) {
+                break;
+            }
+
+            const testColor = ColorUtil.fromOklchInGamut(lightness, c, h);
+            const testContrast = this.measureContrast(testColor, backgroundColor);
+
+            if (testContrast >= targetRatio) {
+                return testColor;
+            }
+
+            if (testContrast > bestContrast) {
+                bestColor = testColor;
+                bestContrast = testContrast;
+            }
+        }
+
+        return bestColor;
+    }
+
+    /**
+     * Create a variant of a color at the given lightness using the active optimization mode
+     * @param {ColorUtil} color - Source color (hue and saturation/chroma are kept)
+     * @param {number} lightness - Lightness (0-100, HSL or OKLCH scale depending on mode)
+     * @returns {ColorUtil} Color at the requested lightness
+     */
+    createColorAtLightness(color, lightness) {
+        if (this.optimizationMode === 'oklch') {
+            const { c, h } = color.oklch;
+            return ColorUtil.fromOklchInGamut(lightness / 100, c, h);
+        }
+        return ColorUtil.fromHsl(color.hsl.h, color.hsl.s, lightness);
+    }
+
     /**
      * Get target lightness range for color position based on palette size
      * @param {boolean} isLightBackground - Whether background is light
@@ -273,15 +1030,11 @@ export class PaletteGenerator {
      */
     getTargetLightnessRange(isLightBackground, colorIndex, totalColors, harmonyType) {
         if (isLightBackground) {
-            if (harmonyType === 'monochromatic') {
-                // Return [min,max] ranges for monochromatic
-                if (totalColors === 3) {
-                    const base = 10 + (colorIndex * 20);
-                    return [base, base + 15];
-                } else {
-                    const base = 10 + (colorIndex * 15);
-                    return [base, base + 15];
-                }
+            if (getHarmony(harmonyType)?.singleHue) {
+                // Return [min,max] ranges for single-hue harmonies
+                const step = totalColors === 3 ? 20 : Math.min(15, 75 / (totalColors - 1));
+                const base = 10 + (colorIndex * step);
+                return [base, base + 15];
             } else {
                 const ranges = [
                     [15, 35], [25, 45], [35, 55], [20, 40], [10, 30]
@@ -314,20 +1067,21 @@ export class PaletteGenerator {
      * @returns {ColorUtil} Found color or best alternative
      */
     expandedColorSearch(originalHsl, backgroundColor, targetRatio, isLightBackground, targetLightnessRange, bestColor) {
-        const step = targetRatio >= 7 ? 1 : 2;
+        const step = this.getLightnessSearchStep(targetRatio);
         const searchDirection = isLightBackground ? -1 : 1;
         let targetLightness = (targetLightnessRange[0] + targetLightnessRange[1]) / 2;
-        let bestContrast = bestColor.getContrastRatio(backgroundColor);
+        let bestContrast = this.measureContrast(bestColor, backgroundColor);
         
-        for (let i = 0; i < 45; i++) {
+        // Search all the way to black or white; high Lc targets can need most of the range
+        while (true) {
             targetLightness += searchDirection * step;
             
-            if (targetLightness < 5 || targetLightness > 95) {
+            if (targetLightness < 0 || targetLightness > 100) {
                 break;
             }
             
             const testColor = ColorUtil.fromHsl(originalHsl.h, originalHsl.s, targetLightness);
-            const testContrast = testColor.getContrastRatio(backgroundColor);
+            const testContrast = this.measureContrast(testColor, backgroundColor);
             
             if (testContrast >= targetRatio) {
                 return testColor;
@@ -350,13 +1104,16 @@ export class PaletteGenerator {
      * @param {ColorUtil} backgroundColor - Background color
      * @param {number} minContrastRatio - Minimum contrast ratio
      * @param {Object} differentiationSettings - Differentiation configuration
+     * @returns {Object[]} Pairs still below the ΔE target as {index1, index2, vision, deltaE}
      */
     applySimpleDifferentiation(palette, backgroundColor, minContrastRatio, differentiationSettings = {}) {
         const MIN_LIGHTNESS_DIFFERENCE = differentiationSettings.minLuminanceDifference || 10;
-        const MIN_SATURATION_DIFFERENCE = 20; // Increased from 15
-        const MAX_HUE_ADJUSTMENT = 10;
+        const MIN_DELTA_E = differentiationSettings.minDeltaE || 10;
+        const visions = ['normal', ...(differentiationSettings.cvdTypes || DEFAULT_DIFFERENTIATION_CVD_TYPES)];
+        const deltaEMethod = differentiationSettings.deltaEMethod || this.deltaEMethod;
+        const MIN_HUE_DIFFERENCE = differentiationSettings.minHueDifference ?? 15;
 
-        const isLightBackground = backgroundColor.getLuminance() > 0.5;
+        const isLightBackground = this.isLightBackground(backgroundColor);
 
         const isMonochromatic = palette.every(c => 
             this.getCircularHueDistance(c.hsl.h, palette[0].hsl.h) < 5
@@ -365,10 +1122,12 @@ export class PaletteGenerator {
         if (isMonochromatic) {
             console.log('Monochromatic palette detected - applying enhanced differentiation');
             this.enhanceMonochromaticDifferentiation(palette, backgroundColor, minContrastRatio);
-            return;
+            // Separate by lightness and chroma only, so the palette keeps its single hue
+            this.separateByDeltaE(palette, backgroundColor, minContrastRatio, MIN_DELTA_E, visions, 0, deltaEMethod);
+            return this.findIndistinctPairs(palette, MIN_DELTA_E, visions, deltaEMethod);
         }
         
-        console.log(`Applying simple differentiation: lightness ${MIN_LIGHTNESS_DIFFERENCE}%, saturation ${MIN_SATURATION_DIFFERENCE}%`);
+        console.log(`Applying simple differentiation: lightness ${MIN_LIGHTNESS_DIFFERENCE}%, saturation ${MIN_SATURATION_DIFFERENCE}%, hue ${MIN_HUE_DIFFERENCE}°`);
         console.log(`Background type: ${isLightBackground ? 'light' : 'dark'}`);
         
         // Step 1: Create optimal lightness distribution
@@ -378,7 +1137,164 @@ export class PaletteGenerator {
         this.adjustSaturationForDifferentiation(palette, MIN_SATURATION_DIFFERENCE);
         
         // Step 3: Final minimal hue adjustments only if absolutely necessary
-        this.applyMinimalHueAdjustments(palette, backgroundColor, minContrastRatio, MAX_HUE_ADJUSTMENT);
+        this.applyMinimalHueAdjustments(palette, backgroundColor, minContrastRatio, MIN_HUE_DIFFERENCE);
+
+        // Step 4: Restore the contrast floor, then separate pairs that are still
+        // too close under normal vision or any simulated vision deficiency
+        this.ensureMinimumContrast(palette, backgroundColor, minContrastRatio);
+        this.separateByDeltaE(palette, backgroundColor, minContrastRatio, MIN_DELTA_E, visions, MIN_HUE_DIFFERENCE, deltaEMethod);
+
+        return this.findIndistinctPairs(palette, MIN_DELTA_E, visions, deltaEMethod);
+    }
+
+    /**
+     * Find the pairs of a palette below the differentiation ΔE target
+     * @param {ColorUtil[]} palette - Color palette
+     * @param {Object} differentiationSettings - Differentiation configuration (minDeltaE, cvdTypes, deltaEMethod)
+     * @returns {Object[]} Pairs as {index1, index2, vision, deltaE}
+     */
+    reportIndistinctPairs(palette, differentiationSettings = {}) {
+        return this.findIndistinctPairs(
+            palette,
+            differentiationSettings.minDeltaE || 10,
+            ['normal', ...(differentiationSettings.cvdTypes || DEFAULT_DIFFERENTIATION_CVD_TYPES)],
+            differentiationSettings.deltaEMethod || this.deltaEMethod
+        );
+    }
+
+    /**
+     * Get a color as seen under each vision type
+     * @param {ColorUtil} color - Color to simulate
+     * @param {string[]} visions - 'normal' and/or CVD types
+     * @returns {ColorUtil[]} Simulated colors, in the order of visions
+     */
+    getVisionVariants(color, visions) {
+        return visions.map(vision => vision === 'normal' ? color : color.simulateCVD(vision));
+    }
+
+    /**
+     * Get the smallest ΔE between two colors across vision types
+     * @param {ColorUtil[]} variants1 - First color's vision variants
+     * @param {ColorUtil[]} variants2 - Second color's vision variants
+     * @param {string} [deltaEMethod] - '76', '94', '2000' or 'ok' (defaults to this.deltaEMethod)
+     * @returns {Object} Smallest distance as {deltaE, visionIndex}
+     */
+    getMinimumDeltaE(variants1, variants2, deltaEMethod = this.deltaEMethod) {
+        let deltaE = Infinity;
+        let visionIndex = 0;
+        variants1.forEach((variant, i) => {
+            const distance = variant.getDeltaE(variants2[i], deltaEMethod);
+            if (distance < deltaE) {
+                deltaE = distance;
+                visionIndex = i;
+            }
+        });
+        return { deltaE, visionIndex };
+    }
+
+    /**
+     * Push apart colors that are closer than the ΔE target under any vision type.
+     * Candidates vary OKLCH lightness and chroma, and hue by at most maxHueAdjustment,
+     * so harmony is kept; every candidate must still meet the contrast floor.
+     * @param {ColorUtil[]} palette - Color palette (adjusted in place)
+     * @param {ColorUtil|ColorUtil[]} backgroundColor - Background color or surfaces
+     * @param {number} minContrastRatio - Minimum contrast ratio
+     * @param {number} minDeltaE - Target minimum pairwise ΔE
+     * @param {string[]} visions - Vision types to check
+     * @param {number} maxHueAdjustment - Maximum hue change in degrees (0 keeps every hue)
+     * @param {string} [deltaEMethod] - '76', '94', '2000' or 'ok' (defaults to this.deltaEMethod)
+     */
+    separateByDeltaE(palette, backgroundColor, minContrastRatio, minDeltaE, visions, maxHueAdjustment, deltaEMethod = this.deltaEMethod) {
+        const variants = palette.map(color => this.getVisionVariants(color, visions));
+        const nearestDeltaE = (candidateVariants, index) => {
+            let nearest = Infinity;
+            variants.forEach((other, k) => {
+                if (k !== index) {
+                    nearest = Math.min(nearest, this.getMinimumDeltaE(candidateVariants, other, deltaEMethod).deltaE);
+                }
+            });
+            return nearest;
+        };
+
+        // Half steps let a smaller hue change win when it is enough
+        const hueSteps = maxHueAdjustment > 0 ?
+            [-maxHueAdjustment, -maxHueAdjustment / 2, 0, maxHueAdjustment / 2, maxHueAdjustment] :
+            [0];
+
+        const MAX_PASSES = 3;
+        for (let pass = 0; pass < MAX_PASSES; pass++) {
+            let improved = false;
+
+            for (let i = 0; i < palette.length; i++) {
+                const current = nearestDeltaE(variants[i], i);
+                if (current >= minDeltaE) continue;
+
+                const { l, c, h } = palette[i].oklch;
+                let best = null;
+                let bestScore = current;
+                let bestChange = Infinity;
+
+                for (let dl = -0.2; dl <= 0.2001; dl += 0.04) {
+                    for (const chromaScale of [0.6, 1, 1.4]) {
+                        for (const dh of hueSteps) {
+                            const candidate = ColorUtil.fromOklchInGamut(
+                                Math.max(0, Math.min(1, l + dl)),
+                                c * chromaScale,
+                                (h + dh + 360) % 360
+                            );
+                            if (this.measureContrast(candidate, backgroundColor) < minContrastRatio) continue;
+
+                            // Scores are capped at the target so the smallest sufficient change wins
+                            const score = Math.min(minDeltaE, nearestDeltaE(this.getVisionVariants(candidate, visions), i));
+                            const change = candidate.getDeltaEOK(palette[i]);
+                            const better = score > bestScore && (score >= minDeltaE || score >= current + 0.5);
+                            const closer = best && score === bestScore && change < bestChange;
+                            if (better || closer) {
+                                best = candidate;
+                                bestScore = score;
+                                bestChange = change;
+                            }
+                        }
+                    }
+                }
+
+                if (best) {
+                    console.log(`ΔE separated color ${i}: ${palette[i].hex} → ${best.hex} (ΔE ${current.toFixed(1)} → ${bestScore.toFixed(1)})`);
+                    palette[i] = best;
+                    variants[i] = this.getVisionVariants(best, visions);
+                    improved = true;
+                }
+            }
+
+            if (!improved) break;
+        }
+    }
+
+    /**
+     * Find color pairs that remain below the ΔE target
+     * @param {ColorUtil[]} palette - Color palette
+     * @param {number} minDeltaE - Target minimum pairwise ΔE
+     * @param {string[]} visions - Vision types to check
+     * @param {string} [deltaEMethod] - '76', '94', '2000' or 'ok' (defaults to this.deltaEMethod)
+     * @returns {Object[]} Pairs as {index1, index2, vision, deltaE}
+     */
+    findIndistinctPairs(palette, minDeltaE, visions, deltaEMethod = this.deltaEMethod) {
+        const variants = palette.map(color => this.getVisionVariants(color, visions));
+        const pairs = [];
+
+        for (let i = 0; i < palette.length; i++) {
+            for (let j = i + 1; j < palette.length; j++) {
+                const { deltaE, visionIndex } = this.getMinimumDeltaE(variants[i], variants[j], deltaEMethod);
+                if (deltaE < minDeltaE) {
+                    pairs.push({ index1: i, index2: j, vision: visions[visionIndex], deltaE: Math.round(deltaE * 10) / 10 });
+                }
+            }
+        }
+
+        if (pairs.length > 0) {
+            console.log(`${pairs.length} pairs below ${DELTA_E_LABELS[deltaEMethod] || 'ΔE'} ${minDeltaE}:`, pairs);
+        }
+        return pairs;
     }
 
     /**
@@ -389,7 +1305,7 @@ export class PaletteGenerator {
      * @param {number} minLightnessDiff - Minimum lightness difference
      */
     distributeColorsOptimally(palette, backgroundColor, minContrastRatio, minLightnessDiff) {
-        const isLightBackground = backgroundColor.getLuminance() > 0.5;
+        const isLightBackground = this.isLightBackground(backgroundColor);
         const paletteSize = palette.length;
         
         // Create optimal lightness distribution based on palette size
@@ -427,16 +1343,16 @@ export class PaletteGenerator {
             // For light backgrounds: distribute from dark to medium
             if (paletteSize === 3) {
                 return [15, 35, 55]; // Well-spaced dark colors
-            } else {
-                return [10, 25, 40, 55, 70]; // Progressive lightness increase
             }
+            return this.spreadEvenly(paletteSize, 10, 70); // Progressive lightness increase
         } else {
             // For dark backgrounds: distribute from medium to light
             if (paletteSize === 3) {
                 return [60, 75, 90]; // Well-spaced light colors
-            } else {
+            } else if (paletteSize === 5) {
                 return [50, 65, 80, 90, 95]; // Progressive lightness increase
             }
+            return this.spreadEvenly(paletteSize, 50, 95);
         }
     }
 
@@ -449,25 +1365,23 @@ export class PaletteGenerator {
      * @returns {ColorUtil|null} Adjusted color or null
      */
     adjustColorToTargetLightness(originalColor, backgroundColor, minContrastRatio, targetLightness) {
-        const originalHsl = originalColor.hsl;
-        
         // Try exact target lightness first
-        let testColor = ColorUtil.fromHsl(originalHsl.h, originalHsl.s, targetLightness);
-        let testContrast = testColor.getContrastRatio(backgroundColor);
+        let testColor = this.createColorAtLightness(originalColor, targetLightness);
+        let testContrast = this.measureContrast(testColor, backgroundColor);
         
         if (testContrast >= minContrastRatio) {
             return testColor;
         }
         
         // If exact target doesn't work, find nearest that meets contrast
-        const isLightBackground = backgroundColor.getLuminance() > 0.5;
+        const isLightBackground = this.isLightBackground(backgroundColor);
         const searchDirection = isLightBackground ? -1 : 1; // Darker for light bg, lighter for dark bg
         
         for (let adjustment = 5; adjustment <= 25; adjustment += 5) {
             const adjustedLightness = Math.max(5, Math.min(95, targetLightness + (searchDirection * adjustment)));
             
-            testColor = ColorUtil.fromHsl(originalHsl.h, originalHsl.s, adjustedLightness);
-            testContrast = testColor.getContrastRatio(backgroundColor);
+            testColor = this.createColorAtLightness(originalColor, adjustedLightness);
+            testContrast = this.measureContrast(testColor, backgroundColor);
             
             if (testContrast >= minContrastRatio) {
                 return testColor;
@@ -518,9 +1432,10 @@ export class PaletteGenerator {
      * @param {ColorUtil[]} palette - Color palette  
      * @param {ColorUtil} backgroundColor - Background color
      * @param {number} minContrastRatio - Minimum contrast ratio
-     * @param {number} maxHueAdjustment - Maximum allowed hue adjustment
+     * @param {number} minHueDifference - Hue gap below which similar colors are moved apart,
+     *                                    and the largest hue change applied
      */
-    applyMinimalHueAdjustments(palette, backgroundColor, minContrastRatio, maxHueAdjustment) {
+    applyMinimalHueAdjustments(palette, backgroundColor, minContrastRatio, minHueDifference) {
         // Only apply hue adjustments if colors are still too similar after lightness and saturation adjustments
         const veryClosePairs = [];
         
@@ -534,7 +1449,7 @@ export class PaletteGenerator {
                 const satDiff = Math.abs(color1.hsl.s - color2.hsl.s);
                 
                 // Only adjust hue if colors are very similar in all aspects
-                if (hueDiff < 15 && lightDiff < 10 && satDiff < 10) {
+                if (hueDiff < minHueDifference && lightDiff < 10 && satDiff < 10) {
                     veryClosePairs.push({ index1: i, index2: j, hueDiff });
                 }
             }
@@ -546,12 +1461,14 @@ export class PaletteGenerator {
         for (const pair of veryClosePairs) {
             const color = palette[pair.index2]; // Adjust second color
             const originalHsl = color.hsl;
+            const adjustment = minHueDifference - pair.hueDiff;
+            const away = ((originalHsl.h - palette[pair.index1].hsl.h + 540) % 360) - 180 >= 0 ? 1 : -1;
             
-            // Try small hue adjustments in both directions
-            for (const direction of [1, -1]) {
-                const newHue = (originalHsl.h + (direction * maxHueAdjustment) + 360) % 360;
+            // Widen the gap to minHueDifference, moving away from the other color first
+            for (const direction of [away, -away]) {
+                const newHue = (originalHsl.h + (direction * adjustment) + 360) % 360;
                 const testColor = ColorUtil.fromHsl(newHue, originalHsl.s, originalHsl.l);
-                const testContrast = testColor.getContrastRatio(backgroundColor);
+                const testContrast = this.measureContrast(testColor, backgroundColor);
                 
                 if (testContrast >= minContrastRatio) {
                     palette[pair.index2] = testColor;
@@ -580,12 +1497,12 @@ export class PaletteGenerator {
      * Special handling for monochromatic palettes
      */
     enhanceMonochromaticDifferentiation(palette, backgroundColor, minContrastRatio) {
-        const isLightBackground = backgroundColor.getLuminance() > 0.5;
+        const isLightBackground = this.isLightBackground(backgroundColor);
         const baseHue = palette[0].hsl.h;
         
         // Wider lightness distribution for monochromatic
         const lightnessValues = palette.length === 3 ? 
-            [15, 50, 85] : [10, 30, 50, 70, 90];
+            [15, 50, 85] : this.spreadEvenly(palette.length, 10, 90);
         
         // Add slight hue variations (5° steps)
         palette.forEach((color, i) => {
@@ -606,22 +1523,30 @@ export class PaletteGenerator {
         this.ensureMinimumContrast(palette, backgroundColor, minContrastRatio);
     }
     /**
-     * Ensure all colors meet minimum contrast requirements
+     * Ensure all colors meet minimum contrast requirements.
+     * Falls back to the OKLCH lightness search when the HSL search can't reach the target,
+     * and warns about colors that no lightness can make compliant.
      */
     ensureMinimumContrast(palette, backgroundColor, minContrastRatio) {
         palette.forEach((color, i) => {
-            const contrast = color.getContrastRatio(backgroundColor);
+            const contrast = this.measureContrast(color, backgroundColor);
             if (contrast < minContrastRatio) {
                 // Find nearest color that meets contrast
                 palette[i] = this.findOptimalColor(
                     color, 
                     backgroundColor, 
                     minContrastRatio,
-                    minContrastRatio * 1.5, // Upper bound
+                    this.getContrastUpperBound(minContrastRatio),
                     i,
                     palette.length
                 );
             }
+            if (this.measureContrast(palette[i], backgroundColor) < minContrastRatio) {
+                palette[i] = this.findOptimalOklchColor(palette[i], backgroundColor, minContrastRatio);
+            }
+            if (this.measureContrast(palette[i], backgroundColor) < minContrastRatio) {
+                console.warn(`Color ${i + 1} (${palette[i].hex}) stays below the contrast target ${minContrastRatio}`);
+            }
         });
     }
 }
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * WCAG Color Palette Generator v0.6
+ * Tonal ramp (50-950) generation for design systems
+ */
+
+import { ColorUtil } from '../core/ColorUtil.js';
+
+/**
+ * Ramp steps with their OKLCH lightness and relative chroma.
+ * Lightness is spaced in OKLCH so neighbouring steps look evenly spaced;
+ * chroma tapers toward the ends where sRGB cannot hold saturated tints and shades.
+ */
+export const TONAL_STEPS = [
+    { step: 50,  lightness: 0.97, chroma: 0.15 },
+    { step: 100, lightness: 0.93, chroma: 0.30 },
+    { step: 200, lightness: 0.87, chroma: 0.55 },
+    { step: 300, lightness: 0.79, chroma: 0.80 },
+    { step: 400, lightness: 0.70, chroma: 0.95 },
+    { step: 500, lightness: 0.61, chroma: 1.00 },
+    { step: 600, lightness: 0.52, chroma: 0.95 },
+    { step: 700, lightness: 0.44, chroma: 0.85 },
+    { step: 800, lightness: 0.36, chroma: 0.70 },
+    { step: 900, lightness: 0.29, chroma: 0.55 },
+    { step: 950, lightness: 0.21, chroma: 0.45 }
+];
+
+/**
+ * Tonal ramp generator - expands palette colors into 50-950 scales
+ */
+export class TonalRampGenerator {
+    /**
+     * Generate a tonal ramp for every color of a palette
+     * @param {ColorUtil[]} colors - Palette colors (usually the base palette)
+     * @param {Object} options - Background colors, WCAG level and contrast method
+     * @returns {Object[]} Ramps as {name, base, steps}
+     */
+    generateRamps(colors, options = {}) {
+        return colors.map((color, index) => ({
+            name: `color-${index + 1}`,
+            base: color.hex,
+            steps: this.generateRamp(color, options)
+        }));
+    }
+
+    /**
+     * Generate a single tonal ramp, annotated with contrast against both backgrounds
+     * @param {ColorUtil} color - Source color (hue and chroma are taken from it)
+     * @param {Object} options - Generation options
+     * @returns {Object[]} Steps as {step, color, contrast: {light, dark}, textSafe: {light, dark}}
+     */
+    generateRamp(color, options = {}) {
+        const {
+            lightBackground = '#ffffff',
+            darkBackground = '#2c3e50',
+            wcagLevel = 'AA',
+            contrastMethod = 'wcag2',
+            apcaTarget = 60
+        } = options;
+
+        const lightBg = new ColorUtil(lightBackground);
+        const darkBg = new ColorUtil(darkBackground);
+        const { c, h } = color.oklch;
+
+        return TONAL_STEPS.map(({ step, lightness, chroma }) => {
+            const stepColor = ColorUtil.fromOklchInGamut(lightness, c * chroma, h);
+            const contrast = {
+                light: this.measureContrast(stepColor, lightBg, contrastMethod),
+                dark: this.measureContrast(stepColor, darkBg, contrastMethod)
+            };
+            const target = contrastMethod === 'apca' ? apcaTarget : (wcagLevel === 'AAA' ? 7 : 4.5);
+
+            return {
+                step,
+                color: stepColor,
+                contrast,
+                textSafe: {
+                    light: contrast.light >= target,
+                    dark: contrast.dark >= target
+                }
+            };
+        });
+    }
+
+    /**
+     * Measure text contrast with the given method
+     * @param {ColorUtil} textColor - Text color
+     * @param {ColorUtil} backgroundColor - Background color
+     * @param {string} contrastMethod - 'wcag2' or 'apca'
+     * @returns {number} WCAG 2.x ratio or absolute APCA Lc value
+     */
+    measureContrast(textColor, backgroundColor, contrastMethod) {
+        if (contrastMethod === 'apca') {
+            return Math.abs(textColor.getAPCAContrast(backgroundColor));
+        }
+        return textColor.getContrastRatio(backgroundColor);
+    }
+}
\ No newline at end of file
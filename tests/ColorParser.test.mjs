@@ -0,0 +1,25 @@
+/**
+ * WCAG Color Palette Generator v0.6
+ * ColorParser tests (run with `node --test tests/`)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, normalizeColor, ColorParseError } from '../core/ColorParser.js';
+
+test('parses named colors and color functions', () => {
+    assert.equal(normalizeColor('rebeccapurple'), '#663399');
+    assert.equal(normalizeColor('rgb(255 0 0)'), '#ff0000');
+});
+
+test('rejects Object.prototype member names as color names', () => {
+    for (const input of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf']) {
+        assert.throws(() => parseColor(input), ColorParseError, input);
+    }
+});
+
+test('rejects Object.prototype member names as color functions', () => {
+    for (const input of ['constructor(1, 2, 3)', 'tostring(0)', '__proto__(1 2 3)', 'valueof()']) {
+        assert.throws(() => parseColor(input), ColorParseError, input);
+    }
+});
\ No newline at end of file
@@ -16,6 +16,26 @@ export interface HSLColor {
     l: number;
 }
 
+export interface LabColor {
+    l: number; // 0-100
+    a: number;
+    b: number;
+}
+
+export type DeltaEMethod = '76' | '94' | '2000' | 'ok';
+
+export interface OKLabColor {
+    l: number;  // 0-1
+    a: number;
+    b: number;
+}
+
+export interface OKLCHColor {
+    l: number;  // 0-1
+    c: number;  // 0-~0.4
+    h: number;  // 0-360
+}
+
 export interface ColorData {
     hex: string;
     rgb: RGBColor;
@@ -23,18 +43,89 @@ export interface ColorData {
 }
 
 // Color utility types
-export interface ColorUtilConstructorOptions {
-    type: 'hsl';
-    h: number;
-    s: number;
-    l: number;
-}
+export type ColorUtilConstructorOptions =
+    | string // Any CSS Color 4 color
+    | { type: 'hsl'; h: number; s: number; l: number; alpha?: number }
+    | { type: 'oklch'; l: number; c: number; h: number; alpha?: number };
 
 // Differentiation settings types
 export interface DifferentiationSettings {
     enabled: boolean;
-    minHueDifference: number;      // 5-60 degrees
+    minHueDifference: number;      // Degrees: hue gap below which similar colors move apart, and the largest hue shift
     minLuminanceDifference: number; // 5-30 percent
+    minDeltaE?: number;             // Pairwise ΔE target (in deltaEMethod units)
+    deltaEMethod?: DeltaEMethod;    // Default 'ok' (ΔEOK × 100)
+    cvdTypes?: CVDType[];           // Simulated visions to check (default: protan, deutan, tritan)
+}
+
+export interface IndistinctPair {
+    index1: number;
+    index2: number;
+    vision: 'normal' | CVDType;
+    deltaE: number;
+}
+
+// Surface types
+export interface SurfaceDefinition {
+    name: string;
+    color: string;  // #rrggbb
+}
+
+export interface ThemeSurfaces {
+    light: SurfaceDefinition[];
+    dark: SurfaceDefinition[];
+}
+
+export interface SurfaceContrastEntry {
+    ratios: Record<string, number>;
+    binding: string;
+}
+
+// Tonal ramp types
+export type TonalStep = 50 | 100 | 200 | 300 | 400 | 500 | 600 | 700 | 800 | 900 | 950;
+
+export interface TonalRampStep {
+    step: TonalStep;
+    color: ColorUtil;
+    contrast: { light: number; dark: number };
+    textSafe: { light: boolean; dark: boolean };
+}
+
+export interface TonalRamp {
+    name: string;
+    base: string;
+    steps: TonalRampStep[];
+}
+
+// Translucent variant types
+export interface TranslucentVariant {
+    alpha: number;      // 0-1
+    css: string;        // e.g. "rgb(38 0 77 / 0.57)"
+    effective: string;  // Hex as rendered on the theme background
+    contrast: number;   // Effective contrast (WCAG ratio or APCA Lc)
+}
+
+export interface TranslucentVariants {
+    text: TranslucentVariant | null;
+    disabled: TranslucentVariant | null;
+    overlay: TranslucentVariant | null;
+}
+
+// Display P3 types
+export type Gamut = 'srgb' | 'display-p3';
+
+export interface DisplayP3Color {
+    r: number; // 0-1, gamma-encoded
+    g: number;
+    b: number;
+}
+
+export interface DisplayP3Variant {
+    css: string;        // e.g. "color(display-p3 0.3248 0.4602 1)"
+    p3: DisplayP3Color;
+    fallback: string;   // sRGB hex (the optimized color)
+    contrast: number;   // Contrast of the P3 color (WCAG ratio or APCA Lc)
+    wideGamut: boolean; // False when no wider color meets the target
 }
 
 // Palette generation types
@@ -42,7 +133,20 @@ export interface PaletteGenerationOptions {
     size?: number;
     wcagLevel?: WCAGLevel;
     harmonyType?: HarmonyType;
+    harmonyAngle?: number;
+    harmonyOffsets?: number[];
+    harmonySpace?: HarmonySpace;
     baseColor?: string;
+    lockedColors?: LockedColor[];
+    variationSeed?: number | null;
+    optimizationMode?: OptimizationMode;
+    contrastMethod?: ContrastMethod;
+    apcaTarget?: number;
+    lightBackground?: string;
+    darkBackground?: string;
+    surfaces?: Partial<ThemeSurfaces>;
+    displayP3Enabled?: boolean;
+    semanticRolesEnabled?: boolean;
     differentiationSettings?: DifferentiationSettings;
 }
 
@@ -50,10 +154,47 @@ export interface GeneratedPalettes {
     base: ColorUtil[];
     lightOptimized: ColorUtil[];
     darkOptimized: ColorUtil[];
+    surfaces?: {
+        light: { name: string; hex: string }[];
+        dark: { name: string; hex: string }[];
+    };
+    surfaceContrast?: {
+        light: SurfaceContrastEntry[];
+        dark: SurfaceContrastEntry[];
+    };
+    tonalRamps?: TonalRamp[];
+    differentiationReport?: {
+        light: IndistinctPair[];
+        dark: IndistinctPair[];
+    };
+    translucent?: {
+        light: TranslucentVariants[];
+        dark: TranslucentVariants[];
+    };
+    p3?: {
+        light: DisplayP3Variant[];
+        dark: DisplayP3Variant[];
+    } | null;
+    roles?: SemanticRoleColors[] | null;
+}
+
+export type SemanticRole = 'primary' | 'secondary' | 'success' | 'warning' | 'danger' | 'info';
+export type StatusRole = Exclude<SemanticRole, 'primary' | 'secondary'>;
+
+export interface SemanticRoleColors {
+    role: SemanticRole;
+    base: ColorUtil;
+    light: ColorUtil;  // Optimized for the light theme
+    dark: ColorUtil;   // Optimized for the dark theme
 }
 
 // WCAG and accessibility types
 export type WCAGLevel = 'AA' | 'AAA';
+export type OptimizationMode = 'hsl' | 'oklch';
+export type HarmonySpace = 'hsl' | 'oklch';
+export type ContrastMethod = 'wcag2' | 'apca';
+export type CVDType = 'protanopia' | 'deuteranopia' | 'tritanopia' | 'achromatopsia';
+export type CVDSimulation = 'none' | CVDType;
 export type AccessibilityLevel = 'AA' | 'AAA' | 'FAIL';
 
 export interface ContrastInfo {
@@ -63,7 +204,52 @@ export interface ContrastInfo {
 }
 
 // Harmony types
-export type HarmonyType = 'complementary' | 'triadic' | 'analogous' | 'monochromatic' | 'tetradic';
+export type BuiltInHarmonyType = 'complementary' | 'triadic' | 'analogous' | 'monochromatic' | 'tetradic' |
+    'split-complementary' | 'square' | 'double-complementary' | 'compound' | 'shades' | 'custom';
+// Any registered harmony name is accepted
+export type HarmonyType = BuiltInHarmonyType | (string & {});
+
+export interface HarmonyOptions {
+    angle?: number;     // Double-complementary rectangle angle (default 60)
+    offsets?: number[]; // Custom harmony hue offsets in degrees (default [35, 150, 210])
+    seed?: number | null; // Shuffle mode variation seed
+}
+
+export interface HarmonyProfileContext {
+    index: number;          // Color index (1 or higher; the base color is index 0)
+    totalSize: number;
+    base: HSLColor;         // Base color
+    hue: number;            // Hue from the harmony's hues()
+    saturation: number;     // Generator default
+    lightness: number;      // Generator default
+    tonalLightness: number; // Evenly spread lightness used by single-hue harmonies
+}
+
+export interface HarmonyDefinition {
+    hues: (baseHue: number, options: HarmonyOptions) => number[];
+    description: string;
+    label?: string;
+    singleHue?: boolean;
+    profile?: (context: HarmonyProfileContext) => Partial<Pick<HarmonyProfileContext, 'hue' | 'saturation' | 'lightness'>>;
+}
+
+export declare function registerHarmony(name: string, definition: HarmonyDefinition): void;
+export declare function getHarmony(harmonyType: string): Required<Omit<HarmonyDefinition, 'label'>> & { label: string | null } | null;
+export declare function getAvailableHarmonyTypes(): HarmonyType[];
+export declare function getHarmonyDescription(harmonyType: string): string;
+export declare function getHarmonyLabel(harmonyType: string): string;
+export declare function parseHarmonyOffsets(value: string): number[] | null;
+export declare function createVariationSeed(): number;
+export declare const SEMANTIC_STATUS_ROLES: Record<StatusRole, { hue: number; lightness: number; maxHueShift: number }>;
+
+// A base color kept fixed when the palette is regenerated
+export interface LockedColor {
+    index: number; // Base palette position (0-based)
+    hex: string;
+}
+
+// Palette a manually edited color belongs to: base or light/dark optimized
+export type EditablePaletteType = 'base' | 'light' | 'dark';
 
 export interface HarmonyInfo {
     type: HarmonyType;
@@ -75,7 +261,23 @@ export interface ApplicationSettings {
     paletteSize: number;
     wcagLevel: WCAGLevel;
     harmonyType: HarmonyType;
+    harmonyAngle: number;
+    harmonyOffsets: number[];
+    harmonySpace: HarmonySpace;
     baseColor: string;
+    lockedColors: LockedColor[];
+    variationSeed: number | null; // Shuffle mode seed; null for the deterministic palette
+    optimizationMode: OptimizationMode;
+    contrastMethod: ContrastMethod;
+    apcaTarget: number;
+    lightBackground: string;
+    darkBackground: string;
+    surfaces: ThemeSurfaces;
+    tonalRampsEnabled: boolean;
+    displayP3Enabled: boolean;
+    semanticRolesEnabled: boolean;
+    cvdSimulation: CVDSimulation;
+    cvdSeverity: number;
     differentiationSettings: DifferentiationSettings;
 }
 
@@ -90,21 +292,33 @@ export interface ApplicationState {
     currentPalette: ColorUtil[];
     lightOptimizedPalette: ColorUtil[];
     darkOptimizedPalette: ColorUtil[];
+    tonalRamps: TonalRamp[];
+    translucentVariants: NonNullable<GeneratedPalettes['translucent']>;
+    p3Variants: GeneratedPalettes['p3'];
+    semanticRoles: GeneratedPalettes['roles'];
     paletteHistory: HistoryItem[];
     isLoading: boolean;
     settings: ApplicationSettings;
 }
 
 // Export data types
-export type ExportFormat = 'css' | 'json';
+export type ExportFormat = 'css' | 'json' | 'tailwind' | 'tokens' | 'scss' | 'less' | 'android' | 'ios' | 'ase' | 'gpl' | 'sketchpalette';
 
 export interface ExportMetadata {
     generated: string;
     generator: string;
     wcagLevel: WCAGLevel;
     harmonyType: HarmonyType;
+    harmonyAngle?: number;
+    harmonyOffsets?: number[];
+    harmonySpace: HarmonySpace;
+    variationSeed?: number;
     baseColor: string;
     paletteSize: number;
+    optimizationMode: OptimizationMode;
+    contrastMethod: ContrastMethod;
+    apcaTarget?: number;
+    backgrounds: { light: string; dark: string };
     differentiationSettings: DifferentiationSettings;
 }
 
@@ -117,24 +331,39 @@ export interface ColorExportData {
     luminance: number;
 }
 
+// Contrast values use the palette's method: a ratio for WCAG 2, an absolute Lc for APCA
 export interface ContrastRatioData {
     colorIndex: number;
-    ratio: number;
+    ratio?: number;             // WCAG 2 only
+    lc?: number;                // APCA only
 }
 
 export interface ComplianceData {
     colorIndex: number;
     compliant: boolean;
-    ratio: number;
-    level: AccessibilityLevel;
+    ratio?: number;             // WCAG 2 only
+    level?: AccessibilityLevel; // WCAG 2 only
+    lc?: number;                // APCA only
+}
+
+export interface ContrastMeasurement {
+    method: ContrastMethod;
+    ratio?: number;             // WCAG 2 only
+    level?: AccessibilityLevel; // WCAG 2 only
+    lc?: number;                // APCA only
+    target: number;             // 4.5 or 7, or the Lc target
+    compliant: boolean;
 }
 
 export interface AccessibilityReport {
     contrastRatios: {
+        method: ContrastMethod;
         lightBackground: ContrastRatioData[];
         darkBackground: ContrastRatioData[];
     };
-    wcagCompliance: {
+    contrastCompliance: {
+        method: ContrastMethod;
+        target: number;
         lightBackground: ComplianceData[];
         darkBackground: ComplianceData[];
         overallCompliant: {
@@ -153,6 +382,14 @@ export interface ExportData {
         lightOptimized: ColorExportData[];
         darkOptimized: ColorExportData[];
     };
+    translucentVariants?: GeneratedPalettes['translucent'];
+    displayP3Variants?: GeneratedPalettes['p3'];
+    semanticRoles?: Record<SemanticRole, { base: string; light: string; dark: string; contrast: { light: number; dark: number } }>;
+    tonalRamps?: {
+        name: string;
+        base: string;
+        steps: { step: TonalStep; hex: string; contrast: { light: number; dark: number }; textSafe: { light: boolean; dark: boolean } }[];
+    }[];
     accessibility: AccessibilityReport;
     usage: {
         css: Record<string, { base: string; light: string; dark: string }>;
@@ -186,14 +423,58 @@ export interface StateChangeEvent {
 
 export type StateObserver = (newValue: any, oldValue: any) => void;
 
+// Color parsing
+export interface ParsedColor {
+    r: number;     // 0-255
+    g: number;     // 0-255
+    b: number;     // 0-255
+    alpha: number; // 0-1
+}
+
+export interface ColorParseError extends AppError {
+    name: 'ColorParseError';
+    code: 'INVALID_COLOR';
+    input: unknown;
+}
+
+export declare function parseColor(input: string): ParsedColor;
+export declare function normalizeColor(input: string): string;
+
 // Class interfaces
 export interface ColorUtil {
     hex: string;
     rgb: RGBColor;
     hsl: HSLColor;
+    alpha: number;
+    readonly hexa: string;
+    readonly isTranslucent: boolean;
+    readonly oklab: OKLabColor;
+    readonly oklch: OKLCHColor;
+    readonly lab: LabColor;
+    readonly displayP3: DisplayP3Color;
+    withAlpha(alpha: number): ColorUtil;
+    compositeOver(backgroundColor: ColorUtil): ColorUtil;
+    toRgbString(): string;
+    oklchToDisplayP3(l: number, c: number, h: number): DisplayP3Color;
+    displayP3ToRgb(p3: DisplayP3Color): RGBColor;
+    isDisplayP3InGamut(p3: DisplayP3Color): boolean;
+    displayP3ToCss(p3: DisplayP3Color): string;
     getLuminance(): number;
+    getDisplayP3Luminance(p3: DisplayP3Color): number;
+    getDisplayP3ContrastRatio(p3: DisplayP3Color): number;
+    getDisplayP3APCAContrast(p3: DisplayP3Color): number;
     getContrastRatio(otherColor: ColorUtil): number;
     meetsWCAGContrast(backgroundColor: ColorUtil, level?: WCAGLevel): boolean;
+    getAPCALuminance(): number;
+    getAPCAContrast(backgroundColor: ColorUtil): number;
+    meetsAPCAContrast(backgroundColor: ColorUtil, targetLc?: number): boolean;
+    apcaContrastFromLuminance(textLuminance: number, backgroundLuminance: number): number;
+    getDeltaE(otherColor: ColorUtil, method?: DeltaEMethod): number;
+    getDeltaE76(otherColor: ColorUtil): number;
+    getDeltaE94(otherColor: ColorUtil): number;
+    getDeltaE2000(otherColor: ColorUtil): number;
+    getDeltaEOK(otherColor: ColorUtil): number;
+    simulateCVD(type: CVDType, severity?: number): ColorUtil;
     toString(): string;
 }
 
@@ -208,6 +489,9 @@ export interface StateManager {
     updateSettings(newSettings: Partial<ApplicationSettings>): void;
     updateDifferentiationSettings(newDifferentiationSettings: Partial<DifferentiationSettings>): void;
     setPalettes(palettes: Partial<GeneratedPalettes>): void;
+    setColorLock(index: number, hex: string | null): void;
+    isColorLocked(index: number): boolean;
+    setPaletteColor(paletteType: EditablePaletteType, index: number, color: ColorUtil): void;
     setLoading(isLoading: boolean): void;
     reset(): void;
     exportState(): ApplicationState;
@@ -215,28 +499,178 @@ export interface StateManager {
 
 export interface PaletteGenerator {
     generatePalette(options: PaletteGenerationOptions): GeneratedPalettes;
-    generateBaseColors(baseColor: string, harmonyType: HarmonyType, size: number): ColorUtil[];
-    generateOptimizedPalette(baseColors: ColorUtil[], backgroundColor: ColorUtil, minContrastRatio: number): ColorUtil[];
+    generateBaseColors(baseColor: string, harmonyType: HarmonyType, size: number, harmonyOptions?: HarmonyOptions, lockedColors?: LockedColor[]): ColorUtil[];
+    fitAroundLockedColors(colors: ColorUtil[], locked: Map<number, ColorUtil>): void;
+    applyVariation(color: ColorUtil, variation: [number, number, number]): ColorUtil;
+    generateSemanticRoles(baseColors: ColorUtil[], lightColors: ColorUtil[], darkColors: ColorUtil[], lightTarget: ColorUtil | ColorUtil[], darkTarget: ColorUtil | ColorUtil[], minContrastRatio: number): SemanticRoleColors[];
+    deriveStatusColor(baseColor: ColorUtil, role: StatusRole): ColorUtil;
+    generateColorFromHarmony(baseColor: ColorUtil, harmonyHues: number[], harmonyType: HarmonyType, index: number, totalSize: number): ColorUtil;
+    generateOklchColorFromHarmony(baseColor: ColorUtil, harmonyHues: number[], harmonyType: HarmonyType, index: number, totalSize: number): ColorUtil;
+    generateOptimizedPalette(baseColors: ColorUtil[], backgroundColor: ColorUtil | ColorUtil[], minContrastRatio: number): ColorUtil[];
     optimizeColorForBackground(originalColor: ColorUtil, backgroundColor: ColorUtil, targetRatio: number, colorIndex: number, totalColors: number): ColorUtil;
     ensureColorDifferentiation(palette: ColorUtil[], backgroundColor: ColorUtil, minContrastRatio: number, differentiationSettings?: DifferentiationSettings): void;
+    applySimpleDifferentiation(palette: ColorUtil[], backgroundColor: ColorUtil | ColorUtil[], minContrastRatio: number, differentiationSettings?: DifferentiationSettings): IndistinctPair[];
+    generateTranslucentVariants(palette: ColorUtil[], backgroundColor: ColorUtil, minContrastRatio: number): TranslucentVariants[];
+    generateP3Variants(palette: ColorUtil[], backgroundColor: ColorUtil | ColorUtil[], minContrastRatio: number): DisplayP3Variant[];
+    measureP3Contrast(p3: DisplayP3Color, backgroundColor: ColorUtil | ColorUtil[]): number;
+    findOptimalColor(originalColor: ColorUtil, backgroundColor: ColorUtil | ColorUtil[], targetRatio: number, upperBound: number, colorIndex: number, totalColors: number): ColorUtil;
+    snapToCompliant(color: ColorUtil, backgroundType: 'light' | 'dark', settings: ApplicationSettings, colorIndex: number, totalColors: number): ColorUtil;
+    getEditedColorVariants(color: ColorUtil, backgroundType: 'light' | 'dark', settings: ApplicationSettings): { translucent: TranslucentVariants; p3: DisplayP3Variant | null };
+    findIndistinctPairs(palette: ColorUtil[], minDeltaE: number, visions: ('normal' | CVDType)[], deltaEMethod?: DeltaEMethod): IndistinctPair[];
+    reportIndistinctPairs(palette: ColorUtil[], differentiationSettings?: DifferentiationSettings): IndistinctPair[];
     getCircularHueDistance(hue1: number, hue2: number): number;
 }
 
+export interface TonalRampGenerator {
+    generateRamps(colors: ColorUtil[], options?: Partial<ApplicationSettings>): TonalRamp[];
+    generateRamp(color: ColorUtil, options?: Partial<ApplicationSettings>): TonalRampStep[];
+}
+
 export interface UIComponents {
-    displayBasePalette(colors: ColorUtil[], wcagLevel: WCAGLevel): void;
-    displayOptimizedPalettes(baseColors: ColorUtil[], lightColors: ColorUtil[], darkColors: ColorUtil[], wcagLevel: WCAGLevel): void;
+    displayBasePalette(colors: ColorUtil[], wcagLevel: WCAGLevel, tonalRamps?: TonalRamp[], lockedColors?: LockedColor[]): void;
+    updateLockButton(index: number, locked: boolean): void;
+    createEditButton(paletteType: EditablePaletteType, index: number): string;
+    displaySemanticRoles(roles: SemanticRoleColors[] | null): void;
+    measureContrast(textColor: ColorUtil, backgroundColor: ColorUtil): number;
+    getContrastUpperBound(target: number): number;
+    getLightnessSearchStep(target: number): number;
+    ensureMinimumContrast(palette: ColorUtil[], backgroundColor: ColorUtil | ColorUtil[], minContrastRatio: number): void;
+    displayOptimizedPalettes(baseColors: ColorUtil[], lightColors: ColorUtil[], darkColors: ColorUtil[], wcagLevel: WCAGLevel, options?: { method?: ContrastMethod; apcaTarget?: number; backgrounds?: { light?: string; dark?: string }; surfaces?: GeneratedPalettes['surfaces']; differentiationReport?: GeneratedPalettes['differentiationReport']; minDeltaE?: number; deltaEMethod?: DeltaEMethod; translucent?: GeneratedPalettes['translucent']; p3?: GeneratedPalettes['p3'] }): void;
+    setCVDSimulation(type?: CVDSimulation, severity?: number): void;
+    escapeHtml(text: string): string;
+    setContrastMethod(method?: ContrastMethod, wcagLevel?: WCAGLevel, apcaTarget?: number): void;
+    getDisplayHex(color: ColorUtil | string): string;
+    getDistinctness(colors: ColorUtil[]): { deltaE: number; index1: number; index2: number } | null;
     updateHarmonyInfo(harmonyType: HarmonyType, description: string): void;
     showCopyNotification(text: string): void;
     showLoading(show: boolean): void;
     updateBaseColorPreview(color: string): void;
+    setBaseColorError(message: string | null): void;
+}
+
+export interface ColorEditorCallbacks {
+    onInput?: (paletteType: EditablePaletteType, index: number, color: ColorUtil) => void;
+    onCommit?: (paletteType: EditablePaletteType, index: number, color: ColorUtil) => void;
+    onSnap?: (paletteType: EditablePaletteType, index: number, color: ColorUtil) => ColorUtil;
+    onClose?: (paletteType: EditablePaletteType, index: number) => void;
+}
+
+export interface ColorEditor {
+    space: 'hsl' | 'oklch';
+    isOpen(paletteType: EditablePaletteType, index: number): boolean;
+    open(card: HTMLElement, options: { paletteType: EditablePaletteType; index: number; color: ColorUtil }): void;
+    close(): void;
+    reset(): void;
+    setSpace(space: 'hsl' | 'oklch'): void;
+    setColor(color: ColorUtil): void;
+    snap(): void;
 }
 
 export interface ExportManager {
     exportPalette(format: ExportFormat, palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
     exportCSS(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
     exportJSON(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    exportTailwind(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    generateMetadataHeader(settings: ApplicationSettings): string;
+    describeContrastTarget(settings: ApplicationSettings): string;
+    measureContrast(color: ColorUtil, background: ColorUtil, settings: ApplicationSettings): ContrastMeasurement;
+    generateTailwindColors(palettes: GeneratedPalettes, settings: ApplicationSettings): Map<string, Map<string, string>>;
+    generateTailwindConfig(palettes: GeneratedPalettes, settings: ApplicationSettings): string;
+    generateTailwindTheme(palettes: GeneratedPalettes, settings: ApplicationSettings): string;
+    exportDesignTokens(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    generateDesignTokenContent(palettes: GeneratedPalettes, settings: ApplicationSettings): DesignTokenFile;
+    exportSCSS(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    exportLess(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    generatePreprocessorVariables(palettes: GeneratedPalettes, settings: ApplicationSettings, prefix: '$' | '@'): string;
+    getThemeColorNames(palettes: GeneratedPalettes): string[];
+    generateSCSSContent(palettes: GeneratedPalettes, settings: ApplicationSettings): string;
+    generateLessContent(palettes: GeneratedPalettes, settings: ApplicationSettings): string;
+    exportAndroid(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    exportIOS(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    getNativeColorEntries(palettes: GeneratedPalettes, settings: ApplicationSettings): NativeColorEntry[];
+    getNativeColorName(id: string): string;
+    generateAndroidColorsXML(palettes: GeneratedPalettes, settings: ApplicationSettings, theme: 'light' | 'dark'): string;
+    generateComposeColors(palettes: GeneratedPalettes, settings: ApplicationSettings): string;
+    generateAssetCatalogFiles(palettes: GeneratedPalettes, settings: ApplicationSettings): ZipFileEntry[];
+    generateSwiftUIExtension(palettes: GeneratedPalettes, settings: ApplicationSettings): string;
+    exportASE(palettes: GeneratedPalettes): boolean;
+    exportGPL(palettes: GeneratedPalettes, settings: ApplicationSettings): boolean;
+    exportSketchPalette(palettes: GeneratedPalettes): boolean;
+    getSwatchGroups(palettes: GeneratedPalettes): SwatchGroup[];
+    generateASEContent(palettes: GeneratedPalettes): Uint8Array;
+    generateGPLContent(palettes: GeneratedPalettes, settings: ApplicationSettings): string;
+    generateSketchPaletteContent(palettes: GeneratedPalettes): SketchPalette;
+    downloadFile(content: string | Uint8Array, filename: string, mimeType: string): boolean;
 }
 
+export interface NativeColorEntry {
+    id: string;               // 'bg', '1', '2'... or a semantic role
+    light: ColorUtil;
+    dark: ColorUtil;
+    base: ColorUtil | null;   // null for the background
+}
+
+export interface SwatchGroup {
+    name: string;             // e.g. "Light Background Optimized"
+    swatches: { name: string; color: ColorUtil }[];
+}
+
+export interface SketchPalette {
+    compatibleVersion: '2.0';
+    pluginVersion: string;
+    colors: { name: string; red: number; green: number; blue: number; alpha: number }[];
+    gradients: [];
+    images: [];
+}
+
+export interface ZipFileEntry {
+    path: string;             // Forward slashes, e.g. "res/values/colors.xml"
+    content: string | Uint8Array;
+}
+
+export declare function createZipArchive(files: ZipFileEntry[], date?: Date): Uint8Array;
+
+export declare const DESIGN_TOKEN_EXTENSION: string;
+
+/** DTCG color token; `$value` is a color or an alias such as "{color.1.light}" */
+export interface DesignToken {
+    $value: string | { colorSpace: string; components: number[]; hex?: string };
+    $type?: 'color';
+    $description?: string;
+    $extensions?: Record<string, unknown>;
+}
+
+export interface DesignTokenGroup {
+    $type?: 'color';
+    $description?: string;
+    [name: string]: DesignToken | DesignTokenGroup | string | undefined;
+}
+
+export interface DesignTokenFile {
+    $description?: string;
+    $extensions?: Record<string, unknown>;
+    color: DesignTokenGroup;
+    theme?: DesignTokenGroup;
+}
+
+export interface ImportedDesignTokens {
+    base: ColorUtil[];
+    lightOptimized: ColorUtil[];
+    darkOptimized: ColorUtil[];
+    roles: SemanticRoleColors[] | null;
+    backgrounds: { light?: string; dark?: string };
+    settings: Partial<ApplicationSettings>;
+}
+
+export declare class DesignTokenError extends Error {
+    name: 'DesignTokenError';
+    code: 'INVALID_TOKENS';
+    path: string | null;
+    constructor(message: string, path?: string | null);
+}
+
+export declare function parseDesignTokens(tokens: DesignTokenFile | string): ImportedDesignTokens;
+
 export interface HistoryManager {
     toggleHistory(): void;
     showHistory(): void;
@@ -252,7 +686,10 @@ export interface AccessibilityUtils {
     toggleHistory(): void;
     generatePalette(): void;
     exportPalette(format: ExportFormat): void;
+    openExportMenu(): void;
     copyFirstColor(): void;
+    shufflePalette(): void;
+    resetVariation(): void;
     showKeyboardShortcuts(): void;
     showAccessibilityInfo(): void;
     announceToScreenReader(message: string, priority?: 'polite' | 'assertive'): void;
@@ -264,6 +701,8 @@ export interface ColorPaletteApp {
     initialize(): Promise<void>;
     generatePalette(): Promise<void>;
     handleExport(format: ExportFormat): void;
+    handleTokenImport(file: File): Promise<void>;
+    createImportedPalettes(imported: ImportedDesignTokens, settings: ApplicationSettings): GeneratedPalettes;
     getDifferentiationSettings(): DifferentiationSettings;
     updateDifferentiationUI(differentiationSettings: DifferentiationSettings): void;
     handleDifferentiationChange(): void;
@@ -281,11 +720,16 @@ declare global {
     interface Window {
         generatePalette: () => Promise<void>;
         exportPalette: (format: ExportFormat) => void;
+        importDesignTokens: () => void;
         toggleHistory: () => void;
         updateBaseColorPreview: (color: string) => void;
         showKeyboardShortcuts: () => void;
         showAccessibilityInfo: () => void;
         copyToClipboard: (text: string) => void;
+        toggleColorLock: (index: number) => void;
+        openColorEditor: (paletteType: EditablePaletteType, index: number) => void;
+        shufflePalette: () => Promise<void>;
+        resetVariation: () => Promise<void>;
         accessibilityUtils: AccessibilityUtils;
         colorPaletteApp: ColorPaletteApp;
     }
@@ -0,0 +1,393 @@
+/**
+ * WCAG Color Palette Generator v0.6
+ * Inline editor for tweaking individual palette colors
+ */
+
+import { ColorUtil } from '../core/ColorUtil.js';
+import { normalizeColor, ColorParseError } from '../core/ColorParser.js';
+
+/**
+ * Slider channels per color space: [key, label, min, max, step]
+ */
+const EDITOR_CHANNELS = {
+    hsl: [
+        ['h', 'Hue', 0, 360, 1],
+        ['s', 'Saturation', 0, 100, 1],
+        ['l', 'Lightness', 0, 100, 1]
+    ],
+    oklch: [
+        ['l', 'Lightness', 0, 100, 0.5],
+        ['c', 'Chroma', 0, 0.37, 0.005],
+        ['h', 'Hue', 0, 360, 1]
+    ]
+};
+
+/**
+ * Inline color editor shown inside a base or optimized color card.
+ * Only one editor is open at a time. The editor reports changes through callbacks
+ * and leaves state updates to the application:
+ * - onInput(paletteType, index, color): live changes while typing or dragging
+ * - onCommit(paletteType, index, color): finished changes (slider released, hex confirmed, snapped)
+ * - onSnap(paletteType, index, color): returns the nearest compliant color
+ * - onClose(paletteType, index): the editor was closed
+ */
+export class ColorEditor {
+    /**
+     * @param {UIComponents} uiComponents - Provides contrast settings and swatch rendering
+     * @param {Object} callbacks - {onInput, onCommit, onSnap, onClose}
+     */
+    constructor(uiComponents, callbacks = {}) {
+        this.uiComponents = uiComponents;
+        this.callbacks = callbacks;
+        this.current = null; // {card, element, paletteType, index, color, values}
+        this.space = 'hsl'; // Slider color space, kept between editors
+    }
+
+    /**
+     * Check whether the editor is open for a color
+     * @param {string} paletteType - 'base', 'light' or 'dark'
+     * @param {number} index - Color index
+     * @returns {boolean} Whether that color is being edited
+     */
+    isOpen(paletteType, index) {
+        return Boolean(this.current && this.current.paletteType === paletteType && this.current.index === index);
+    }
+
+    /**
+     * Open the editor inside a color card, closing any other open editor first
+     * @param {HTMLElement} card - Card element (.card)
+     * @param {Object} options - {paletteType, index, color}
+     */
+    open(card, { paletteType, index, color }) {
+        this.close();
+
+        const body = card.querySelector('.card-body');
+        if (!body) return;
+
+        const element = document.createElement('div');
+        element.className = 'color-editor';
+        element.setAttribute('role', 'group');
+        element.setAttribute('aria-label', `Edit color ${index + 1}`);
+        body.appendChild(element);
+
+        this.current = { card, element, paletteType, index, color, values: null };
+        this.setExpanded(true);
+        this.render();
+        this.setColor(color);
+
+        element.querySelector('[data-editor="hex"]')?.focus();
+    }
+
+    /**
+     * Close the open editor and notify the application
+     */
+    close() {
+        if (!this.current) return;
+
+        const { paletteType, index } = this.current;
+        this.setExpanded(false);
+        this.current.element.remove();
+        this.current = null;
+
+        if (this.callbacks.onClose) {
+            this.callbacks.onClose(paletteType, index);
+        }
+    }
+
+    /**
+     * Forget the open editor without callbacks (its card was re-rendered)
+     */
+    reset() {
+        this.current = null;
+    }
+
+    /**
+     * Render the editor controls
+     */
+    render() {
+        const { element, index } = this.current;
+
+        element.innerHTML = `
+            <div class="d-flex gap-2 mb-2">
+                <input type="text" class="form-control form-control-sm" data-editor="hex"
+                       aria-label="Color ${index + 1} value" spellcheck="false" autocomplete="off">
+                <div class="btn-group btn-group-sm" role="group" aria-label="Slider color space">
+                    ${Object.keys(EDITOR_CHANNELS).map(space => `
+                        <button type="button" class="btn btn-outline-secondary${space === this.space ? ' active' : ''}"
+                                data-editor-space="${space}" aria-pressed="${space === this.space}">${space.toUpperCase()}</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div data-editor="sliders">${this.createSliders()}</div>
+            <div class="color-editor-contrast" data-editor="contrast" aria-live="polite"></div>
+            <div class="d-flex gap-2 mt-2">
+                <button type="button" class="btn btn-sm btn-outline-primary flex-grow-1" data-editor="snap">Snap to nearest compliant</button>
+                <button type="button" class="btn btn-sm btn-primary" data-editor="done">Done</button>
+            </div>
+        `;
+
+        const hexInput = element.querySelector('[data-editor="hex"]');
+        hexInput.addEventListener('input', () => this.handleHexInput(hexInput.value, false));
+        hexInput.addEventListener('change', () => this.handleHexInput(hexInput.value, true));
+
+        element.querySelectorAll('[data-editor-space]').forEach(button => {
+            button.addEventListener('click', () => this.setSpace(button.dataset.editorSpace));
+        });
+        element.querySelector('[data-editor="snap"]').addEventListener('click', () => this.snap());
+        element.querySelector('[data-editor="done"]').addEventListener('click', () => this.close());
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+
+        this.bindSliders();
+    }
+
+    /**
+     * Create slider rows for the active color space
+     * @returns {string} HTML string for the sliders
+     */
+    createSliders() {
+        const { paletteType, index } = this.current;
+        return EDITOR_CHANNELS[this.space].map(([key, label, min, max, step]) => {
+            const id = `editor-${paletteType}-${index}-${this.space}-${key}`;
+            return `
+                <div class="color-editor-slider">
+                    <label for="${id}" class="form-label small mb-0">${label}</label>
+                    <input type="range" class="form-range" id="${id}" data-channel="${key}"
+                           min="${min}" max="${max}" step="${step}">
+                    <output for="${id}" class="small" data-channel-value="${key}"></output>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Wire slider events: input updates live, change commits
+     */
+    bindSliders() {
+        this.current.element.querySelectorAll('[data-channel]').forEach(slider => {
+            slider.addEventListener('input', () => this.handleSliderInput(slider.dataset.channel, Number(slider.value), false));
+            slider.addEventListener('change', () => this.handleSliderInput(slider.dataset.channel, Number(slider.value), true));
+        });
+    }
+
+    /**
+     * Switch the slider color space
+     * @param {string} space - 'hsl' or 'oklch'
+     */
+    setSpace(space) {
+        if (!this.current || !EDITOR_CHANNELS[space] || space === this.space) return;
+
+        this.space = space;
+        this.current.element.querySelectorAll('[data-editor-space]').forEach(button => {
+            const active = button.dataset.editorSpace === space;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+        this.current.element.querySelector('[data-editor="sliders"]').innerHTML = this.createSliders();
+        this.bindSliders();
+        this.setColor(this.current.color);
+    }
+
+    /**
+     * Show a color in every control (hex field, sliders, contrast readout, card)
+     * @param {ColorUtil} color - Color to show
+     */
+    setColor(color) {
+        if (!this.current) return;
+
+        const hexInput = this.current.element.querySelector('[data-editor="hex"]');
+        hexInput.value = color.hex;
+        this.setHexError(false);
+
+        this.current.values = this.getChannelValues(color);
+        this.updateSliders();
+        this.updateColor(color);
+    }
+
+    /**
+     * Get slider values for a color in the active color space
+     * @param {ColorUtil} color - Color
+     * @returns {Object} Channel values keyed like EDITOR_CHANNELS
+     */
+    getChannelValues(color) {
+        if (this.space === 'oklch') {
+            const { l, c, h } = color.oklch;
+            return { l: l * 100, c, h: Number.isFinite(h) ? h : 0 };
+        }
+        const { h, s, l } = color.hsl;
+        return { h, s, l };
+    }
+
+    /**
+     * Build a color from the slider values. OKLCH values outside sRGB are gamut mapped.
+     * @returns {ColorUtil} Color
+     */
+    getColorFromValues() {
+        const values = this.current.values;
+        if (this.space === 'oklch') {
+            const mapped = ColorUtil.gamutMapOklch(values.l / 100, values.c, values.h);
+            return ColorUtil.fromOklch(mapped.l, mapped.c, mapped.h);
+        }
+        return ColorUtil.fromHsl(values.h, values.s, values.l);
+    }
+
+    /**
+     * Sync slider positions and value labels with the current values
+     */
+    updateSliders() {
+        const { element, values } = this.current;
+        element.querySelectorAll('[data-channel]').forEach(slider => {
+            slider.value = values[slider.dataset.channel];
+        });
+        element.querySelectorAll('[data-channel-value]').forEach(output => {
+            const key = output.dataset.channelValue;
+            const value = values[key];
+            output.textContent = this.space === 'oklch' && key === 'c' ? value.toFixed(3) : `${Math.round(value)}${key === 'h' ? '°' : '%'}`;
+        });
+    }
+
+    /**
+     * Handle a slider move
+     * @param {string} channel - Channel key
+     * @param {number} value - New value
+     * @param {boolean} commit - Whether the change is finished
+     */
+    handleSliderInput(channel, value, commit) {
+        if (!this.current) return;
+
+        this.current.values[channel] = value;
+        this.updateSliders();
+
+        const color = this.getColorFromValues();
+        this.current.element.querySelector('[data-editor="hex"]').value = color.hex;
+        this.setHexError(false);
+        this.updateColor(color);
+        this.emit(commit ? 'onCommit' : 'onInput', color);
+    }
+
+    /**
+     * Handle typing in the hex field. Any CSS color is accepted and shown as hex once confirmed.
+     * @param {string} value - Field value
+     * @param {boolean} commit - Whether the value was confirmed (change event)
+     */
+    handleHexInput(value, commit) {
+        if (!this.current) return;
+
+        let color;
+        try {
+            color = new ColorUtil(normalizeColor(value));
+        } catch (error) {
+            if (!(error instanceof ColorParseError)) throw error;
+            this.setHexError(true, error.message);
+            return;
+        }
+
+        this.setHexError(false);
+        this.current.values = this.getChannelValues(color);
+        this.updateSliders();
+        this.updateColor(color);
+        if (commit) {
+            this.current.element.querySelector('[data-editor="hex"]').value = color.hex;
+        }
+        this.emit(commit ? 'onCommit' : 'onInput', color);
+    }
+
+    /**
+     * Replace the color with the nearest compliant one
+     */
+    snap() {
+        if (!this.current || !this.callbacks.onSnap) return;
+
+        const { paletteType, index, color } = this.current;
+        const snapped = this.callbacks.onSnap(paletteType, index, color);
+        if (!snapped) return;
+
+        this.setColor(snapped);
+        this.emit('onCommit', snapped);
+    }
+
+    /**
+     * Store the edited color and update the card swatch, hex label and contrast readout
+     * @param {ColorUtil} color - Edited color
+     */
+    updateColor(color) {
+        const { card, element } = this.current;
+        this.current.color = color;
+
+        const swatch = card.querySelector('.color-swatch');
+        if (swatch) {
+            swatch.style.background = this.uiComponents.getDisplayHex(color);
+        }
+        card.querySelectorAll('[data-color-hex]').forEach(label => {
+            label.textContent = color.hex;
+        });
+
+        element.querySelector('[data-editor="contrast"]').innerHTML = this.createContrastReadout(color);
+    }
+
+    /**
+     * Create contrast rows for both backgrounds
+     * @param {ColorUtil} color - Edited color
+     * @returns {string} HTML string for the readout
+     */
+    createContrastReadout(color) {
+        const ui = this.uiComponents;
+        const isAPCA = ui.contrastMethod === 'apca';
+        const target = ui.targetRatio;
+        const requirement = isAPCA ? `Lc ${target}` : (target >= 7 ? 'AAA' : 'AA');
+
+        return ['light', 'dark'].map(backgroundType => {
+            const background = ui.backgrounds[backgroundType];
+            const contrast = ui.measureContrast(color, new ColorUtil(background));
+            const passes = contrast >= target;
+            const formatted = isAPCA ? `Lc ${contrast.toFixed(0)}` : `${contrast.toFixed(2)}:1`;
+            const own = backgroundType === this.current.paletteType;
+
+            return `
+                <div class="color-editor-contrast-row${own ? ' fw-semibold' : ''}">
+                    <span><span class="translucent-sample" style="background-color: ${ui.getDisplayHex(background)};"></span>${backgroundType === 'light' ? 'Light' : 'Dark'} ${background}</span>
+                    <span class="${passes ? 'color-editor-pass' : 'color-editor-fail'}">${formatted} ${passes ? `✓ ${requirement}` : `✗ below ${requirement}`}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show or clear the hex field error
+     * @param {boolean} invalid - Whether the value is invalid
+     * @param {string} message - Parse error message
+     */
+    setHexError(invalid, message = '') {
+        const input = this.current.element.querySelector('[data-editor="hex"]');
+        input.classList.toggle('is-invalid', invalid);
+        input.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+        input.title = message;
+    }
+
+    /**
+     * Set aria-expanded on the card's edit toggle
+     * @param {boolean} expanded - Whether the editor is open
+     */
+    setExpanded(expanded) {
+        const toggle = this.current.card.querySelector('[data-edit-toggle]');
+        if (toggle) {
+            toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            toggle.classList.toggle('active', expanded);
+        }
+    }
+
+    /**
+     * Call an application callback with the current color context
+     * @param {string} name - Callback name
+     * @param {ColorUtil} color - Edited color
+     */
+    emit(name, color) {
+        if (this.callbacks[name]) {
+            this.callbacks[name](this.current.paletteType, this.current.index, color);
+        }
+    }
+}
\ No newline at end of file
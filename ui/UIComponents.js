@@ -3,7 +3,8 @@
  * UI component generation and management
  */
 
-import { ColorUtil } from '../core/ColorUtil.js';
+import { ColorUtil, DELTA_E_LABELS } from '../core/ColorUtil.js';
+import { getHarmonyLabel } from '../core/ColorHarmonies.js';
 
 /**
  * UI component generator class
@@ -14,42 +15,136 @@ export class UIComponents {
             basePalette: document.getElementById('basePalette'),
             optimizedPalettes: document.getElementById('optimizedPalettes'),
             harmonyInfo: document.getElementById('harmonyInfo'),
-            copyNotification: document.getElementById('copyNotification')
+            copyNotification: document.getElementById('copyNotification'),
+            baseDistinctness: document.getElementById('baseDistinctness'),
+            semanticRoles: document.getElementById('semanticRoles')
         };
+        this.contrastMethod = 'wcag2'; // 'wcag2' or 'apca'
+        this.backgrounds = { light: '#ffffff', dark: '#2c3e50' };
+        this.surfaces = { light: [], dark: [] };
+        this.targetRatio = 4.5; // WCAG ratio or APCA Lc target of the displayed palettes
+        this.cvdSimulation = { type: 'none', severity: 1 };
+    }
+
+    /**
+     * Set the color vision deficiency simulation used when painting swatches.
+     * Only the rendered colors change; labels, copy actions and contrast values
+     * keep referring to the real colors.
+     * @param {string} type - 'none', 'protanopia', 'deuteranopia', 'tritanopia' or 'achromatopsia'
+     * @param {number} severity - Severity from 0 to 1
+     */
+    setCVDSimulation(type = 'none', severity = 1) {
+        this.cvdSimulation = { type, severity };
+    }
+
+    /**
+     * Set the contrast method and target used to format and check contrast values.
+     * Call before rendering the base palette, whose tonal ramps format with it.
+     * @param {string} method - 'wcag2' or 'apca'
+     * @param {string} wcagLevel - WCAG level ('AA' or 'AAA'), used for WCAG 2.x ratios
+     * @param {number} apcaTarget - Minimum absolute Lc, used for APCA
+     */
+    setContrastMethod(method = 'wcag2', wcagLevel = 'AA', apcaTarget = 60) {
+        this.contrastMethod = method === 'apca' ? 'apca' : 'wcag2';
+        this.targetRatio = this.contrastMethod === 'apca' ?
+            (apcaTarget || 60) :
+            (wcagLevel === 'AAA' ? 7 : 4.5);
+    }
+
+    /**
+     * Get the hex value to paint for a color under the active simulation
+     * @param {ColorUtil|string} color - Color object or hex string
+     * @returns {string} Hex color to render
+     */
+    getDisplayHex(color) {
+        const colorUtil = typeof color === 'string' ? new ColorUtil(color) : color;
+        if (this.cvdSimulation.type === 'none') {
+            return colorUtil.hex;
+        }
+        return colorUtil.simulateCVD(this.cvdSimulation.type, this.cvdSimulation.severity).hex;
     }
 
     /**
      * Display simplified base palette (only HEX values, no RGB/HSL)
      * @param {ColorUtil[]} colors - Array of base colors
      * @param {string} wcagLevel - WCAG level for display
+     * @param {Object[]} tonalRamps - Optional tonal ramps, one per color
      */
-    displayBasePalette(colors, wcagLevel) {
+    displayBasePalette(colors, wcagLevel, tonalRamps = [], lockedColors = []) {
         if (!this.elements.basePalette) return;
         
         this.elements.basePalette.innerHTML = '';
+        this.elements.basePalette.className = `row row-cols-1 row-cols-md-2 row-cols-lg-3 ${this.getGridColumnsClass(colors.length)} g-3`;
+
+        if (this.elements.baseDistinctness) {
+            this.elements.baseDistinctness.textContent = this.formatDistinctness(colors);
+        }
 
         colors.forEach((color, index) => {
-            const colorCard = this.createSimplifiedBaseColorCard(color, index);
+            const locked = lockedColors.some(lock => lock.index === index);
+            const colorCard = this.createSimplifiedBaseColorCard(color, index, tonalRamps[index], locked);
             colorCard.classList.add('palette-item');
             this.elements.basePalette.appendChild(colorCard);
         });
     }
 
+    /**
+     * Find the closest pair of colors by CIEDE2000
+     * @param {ColorUtil[]} colors - Colors to compare
+     * @returns {Object|null} Closest pair as {deltaE, index1, index2}, or null for fewer than two colors
+     */
+    getDistinctness(colors) {
+        let closest = null;
+        for (let i = 0; i < colors.length; i++) {
+            for (let j = i + 1; j < colors.length; j++) {
+                const deltaE = colors[i].getDeltaE2000(colors[j]);
+                if (!closest || deltaE < closest.deltaE) {
+                    closest = { deltaE, index1: i, index2: j };
+                }
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Format the distinctness readout for a palette
+     * @param {ColorUtil[]} colors - Colors to compare
+     * @returns {string} Readout text, e.g. "Min ΔE00 12.3 (colors 2 & 4)"
+     */
+    formatDistinctness(colors) {
+        const closest = this.getDistinctness(colors);
+        if (!closest) return '';
+        return `Min ${DELTA_E_LABELS['2000']} ${closest.deltaE.toFixed(1)} (colors ${closest.index1 + 1} & ${closest.index2 + 1})`;
+    }
+
+    /**
+     * Get the extra-large grid column class for a palette size.
+     * Up to 6 colors fit on one row; larger palettes wrap onto two balanced rows.
+     * @param {number} count - Number of colors
+     * @returns {string} Bootstrap row-cols-xl class
+     */
+    getGridColumnsClass(count) {
+        const columns = count <= 6 ? count : Math.min(6, Math.ceil(count / 2));
+        return `row-cols-xl-${Math.max(1, columns)}`;
+    }
+
     /**
      * Create simplified base color card with only essential information
      * @param {ColorUtil} color - Color object
      * @param {number} index - Color index
+     * @param {Object} ramp - Optional tonal ramp for this color
+     * @param {boolean} locked - Whether the color is locked against regeneration
      * @returns {HTMLElement} Color card element
      */
-    createSimplifiedBaseColorCard(color, index) {
+    createSimplifiedBaseColorCard(color, index, ramp, locked = false) {
         const hex = color.hex;
 
         const cardCol = document.createElement('div');
         cardCol.className = 'col';
         cardCol.innerHTML = `
-            <div class="card h-100 shadow-sm base-palette-card">
+            <div class="card h-100 shadow-sm base-palette-card" data-palette-type="base" data-color-index="${index}">
                 <div class="color-swatch" 
-                     style="background-color: ${hex}" 
+                     style="background-color: ${this.getDisplayHex(color)}" 
                      onclick="copyToClipboard('${hex}')"
                      role="button"
                      tabindex="0"
@@ -57,7 +152,14 @@ export class UIComponents {
                      onkeypress="if(event.key==='Enter') copyToClipboard('${hex}')">
                 </div>
                 <div class="card-body">
-                    <h3 class="card-title h6"><code>${hex}</code></h3>
+                    <div class="d-flex justify-content-between align-items-center gap-2 mb-2">
+                        <h3 class="card-title h6 mb-0"><code data-color-hex>${hex}</code></h3>
+                        <div class="d-flex gap-1">
+                            ${this.createEditButton('base', index)}
+                            ${this.createLockButton(index, locked)}
+                        </div>
+                    </div>
+                    ${ramp ? this.createTonalRamp(ramp) : ''}
                 </div>
             </div>
         `;
@@ -65,24 +167,119 @@ export class UIComponents {
         return cardCol;
     }
 
+    /**
+     * Create lock toggle for a base color
+     * @param {number} index - Color index
+     * @param {boolean} locked - Whether the color is locked
+     * @returns {string} HTML string for the button
+     */
+    createLockButton(index, locked) {
+        return `
+            <button type="button"
+                    class="btn btn-sm btn-outline-secondary lock-toggle${locked ? ' active' : ''}"
+                    data-lock-index="${index}"
+                    aria-pressed="${locked}"
+                    aria-label="${locked ? 'Unlock' : 'Lock'} color ${index + 1}"
+                    title="${locked ? 'Locked: kept when regenerating' : 'Lock this color when regenerating'}"
+                    onclick="toggleColorLock(${index})">
+                <span aria-hidden="true">${locked ? '🔒' : '🔓'}</span>
+            </button>
+        `;
+    }
+
+    /**
+     * Create the button that opens the inline color editor
+     * @param {string} paletteType - 'base', 'light' or 'dark'
+     * @param {number} index - Color index
+     * @returns {string} HTML string for the button
+     */
+    createEditButton(paletteType, index) {
+        const label = paletteType === 'base' ? `color ${index + 1}` : `${paletteType} optimized color ${index + 1}`;
+        return `
+            <button type="button"
+                    class="btn btn-sm btn-outline-secondary edit-toggle"
+                    data-edit-toggle
+                    aria-expanded="false"
+                    aria-label="Edit ${label}"
+                    title="Edit this color"
+                    onclick="openColorEditor('${paletteType}', ${index})">
+                <span aria-hidden="true">✎</span>
+            </button>
+        `;
+    }
+
+    /**
+     * Update a rendered lock toggle without redrawing the palette
+     * @param {number} index - Color index
+     * @param {boolean} locked - Whether the color is locked
+     */
+    updateLockButton(index, locked) {
+        const button = this.elements.basePalette?.querySelector(`[data-lock-index="${index}"]`);
+        if (!button) return;
+
+        button.outerHTML = this.createLockButton(index, locked).trim();
+    }
+
+    /**
+     * Create tonal ramp list (50-950) with contrast against both backgrounds
+     * @param {Object} ramp - Tonal ramp ({name, steps})
+     * @returns {string} HTML string for the ramp
+     */
+    createTonalRamp(ramp) {
+        const isAPCA = this.contrastMethod === 'apca';
+        const format = (value) => isAPCA ? `Lc ${value.toFixed(0)}` : `${value.toFixed(1)}`;
+
+        const rows = ramp.steps.map(({ step, color, contrast, textSafe }) => {
+            // Label text picks whichever of black/white reads better on the step
+            const labelColor = color.getLuminance() > 0.18 ? '#000000' : '#ffffff';
+            return `
+                <li class="tonal-step"
+                    style="background-color: ${this.getDisplayHex(color)}; color: ${labelColor};"
+                    onclick="copyToClipboard('${color.hex}')"
+                    role="button"
+                    tabindex="0"
+                    aria-label="${ramp.name}-${step}: ${color.hex}. Light ${format(contrast.light)}${textSafe.light ? ' text-safe' : ''}, dark ${format(contrast.dark)}${textSafe.dark ? ' text-safe' : ''}. Click to copy"
+                    onkeypress="if(event.key==='Enter') copyToClipboard('${color.hex}')">
+                    <span class="tonal-step-name">${step}</span>
+                    <span class="tonal-step-contrast">
+                        L ${format(contrast.light)}${textSafe.light ? ' ✓' : ''}
+                        · D ${format(contrast.dark)}${textSafe.dark ? ' ✓' : ''}
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+        return `<ul class="tonal-ramp list-unstyled mb-0" aria-label="Tonal ramp for ${ramp.name}">${rows}</ul>`;
+    }
+
     /**
      * Display optimized palettes with compact layout
      * @param {ColorUtil[]} baseColors - Base color palette
      * @param {ColorUtil[]} lightColors - Light optimized palette
      * @param {ColorUtil[]} darkColors - Dark optimized palette
      * @param {string} wcagLevel - WCAG level
+     * @param {Object} options - Contrast method ('wcag2' or 'apca'), APCA Lc target, background colors
+     *                           and per-theme surfaces ({name, hex}) to check against
      */
-    displayOptimizedPalettes(baseColors, lightColors, darkColors, wcagLevel) {
+    displayOptimizedPalettes(baseColors, lightColors, darkColors, wcagLevel, options = {}) {
         if (!this.elements.optimizedPalettes) return;
         
         const container = this.elements.optimizedPalettes;
         container.innerHTML = '';
 
-        const targetRatio = wcagLevel === 'AAA' ? 7 : 4.5;
+        this.setContrastMethod(options.method, wcagLevel, options.apcaTarget);
+        const targetRatio = this.targetRatio;
+        this.backgrounds = { light: '#ffffff', dark: '#2c3e50', ...options.backgrounds };
+        this.surfaces = { light: [], dark: [], ...options.surfaces };
+        this.differentiationReport = { light: [], dark: [], ...options.differentiationReport };
+        this.minDeltaE = options.minDeltaE || 10;
+        this.deltaEMethod = options.deltaEMethod || 'ok';
+        this.translucent = { light: [], dark: [], ...options.translucent };
+        this.p3 = options.p3 || null;
 
         // Create light optimized section
         const lightSection = this.createCompactOptimizedSection(
-            'Light Background Optimized',
+            `Light Background Optimized <small class="text-muted">(${this.backgrounds.light})</small>`,
             'lightOptimizedColors',
             baseColors,
             lightColors,
@@ -93,7 +290,7 @@ export class UIComponents {
 
         // Create dark optimized section
         const darkSection = this.createCompactOptimizedSection(
-            'Dark Background Optimized',
+            `Dark Background Optimized <small class="text-muted">(${this.backgrounds.dark})</small>`,
             'darkOptimizedColors',
             baseColors,
             darkColors,
@@ -117,10 +314,18 @@ export class UIComponents {
         const section = document.createElement('div');
         section.className = 'col-12 mb-3';
         section.innerHTML = `
-            <h3 class="h6 mb-2 text-primary">${title}</h3>
-            <div class="row row-cols-1 row-cols-md-2 row-cols-lg-3 row-cols-xl-5 g-2" id="${containerId}"></div>
+            <div class="d-flex align-items-baseline justify-content-between mb-2">
+                <h3 class="h6 mb-0 text-primary">${title}</h3>
+                <small class="distinctness text-muted" title="Smallest CIEDE2000 difference between any two colors">${this.formatDistinctness(optimizedColors)}</small>
+            </div>
+            <div class="row row-cols-1 row-cols-md-2 row-cols-lg-3 ${this.getGridColumnsClass(optimizedColors.length)} g-2" id="${containerId}"></div>
         `;
 
+        const indistinctNote = this.createIndistinctPairsNote(backgroundType);
+        if (indistinctNote) {
+            section.insertAdjacentHTML('beforeend', indistinctNote);
+        }
+
         const container = section.querySelector(`#${containerId}`);
         
         optimizedColors.forEach((optimizedColor, index) => {
@@ -151,17 +356,21 @@ export class UIComponents {
      * @returns {string} HTML string for color card
      */
     createCompactOptimizedColorCard(baseColor, optimizedColor, index, targetRatio, backgroundType) {
-        const backgroundColor = backgroundType === 'light' ? '#ffffff' : '#2c3e50';
-        const backgroundColorObj = new ColorUtil(backgroundColor);
+        const backgroundColor = this.backgrounds[backgroundType];
+        const surfaces = this.getThemeSurfaces(backgroundType);
+        const p3Variant = this.p3 ? (this.p3[backgroundType] || [])[index] : null;
         
-        const contrast = optimizedColor.getContrastRatio(backgroundColorObj);
+        // The badge reflects the binding (lowest contrast) surface
+        const contrast = Math.min(...surfaces.map(surface =>
+            this.measureContrast(optimizedColor, new ColorUtil(surface.hex))
+        ));
         const level = this.getAccessibilityLevel(contrast);
         const badgeClass = this.getBadgeClass(level);
 
         return `
-            <div class="card h-100 shadow-sm">
+            <div class="card h-100 shadow-sm" data-palette-type="${backgroundType}" data-color-index="${index}">
                 <div class="color-swatch" 
-                     style="background-color: ${optimizedColor.hex}" 
+                     style="${this.getSwatchBackground(optimizedColor, p3Variant)}" 
                      onclick="copyToClipboard('${optimizedColor.hex}')"
                      role="button"
                      tabindex="0"
@@ -172,12 +381,238 @@ export class UIComponents {
                 
                 <div class="card-body">
                     ${this.createCompactPreviewSection(backgroundColor, optimizedColor)}
-                    ${this.createCompactContrastInfo(optimizedColor, contrast, targetRatio)}
+                    <div class="d-flex justify-content-between align-items-start gap-2">
+                        ${this.createCompactContrastInfo(optimizedColor, contrast, targetRatio)}
+                        ${this.createEditButton(backgroundType, index)}
+                    </div>
+                    ${surfaces.length > 1 ? this.createSurfaceRows(optimizedColor, surfaces, targetRatio) : ''}
+                    ${this.createP3Info(p3Variant)}
+                    ${this.createTranslucentInfo((this.translucent[backgroundType] || [])[index], backgroundColor)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Display semantic role colors (primary, secondary and status colors) for both themes.
+     * Call after displayOptimizedPalettes, which sets the backgrounds and contrast target.
+     * @param {Object[]|null} roles - Roles as {role, base, light, dark}, or null when turned off
+     */
+    displaySemanticRoles(roles) {
+        const container = this.elements.semanticRoles;
+        if (!container) return;
+
+        if (!roles) {
+            container.innerHTML = `
+                <div class="col-12">
+                    <p class="small text-muted mb-0">Turn on semantic roles to derive success, warning, danger and info colors that fit the palette.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = roles.map(({ role, base, light, dark }) => `
+            <div class="col palette-item">
+                <div class="card h-100 shadow-sm semantic-role-card">
+                    <div class="color-swatch"
+                         style="background-color: ${this.getDisplayHex(base)}"
+                         onclick="copyToClipboard('${base.hex}')"
+                         role="button"
+                         tabindex="0"
+                         aria-label="${role}: ${base.hex}. Click to copy"
+                         onkeypress="if(event.key==='Enter') copyToClipboard('${base.hex}')">
+                    </div>
+                    <div class="card-body">
+                        <h3 class="card-title h6 semantic-role-name">${role} <code>${base.hex}</code></h3>
+                        ${this.createRoleThemeRow(role, light, 'light')}
+                        ${this.createRoleThemeRow(role, dark, 'dark')}
+                    </div>
                 </div>
             </div>
+        `).join('');
+    }
+
+    /**
+     * Create a role sample: the optimized color as text on its theme background
+     * @param {string} role - Role name
+     * @param {ColorUtil} color - Optimized role color
+     * @param {string} backgroundType - 'light' or 'dark'
+     * @returns {string} HTML string for the sample row
+     */
+    createRoleThemeRow(role, color, backgroundType) {
+        const background = this.backgrounds[backgroundType];
+        const contrast = this.measureContrast(color, new ColorUtil(background));
+        const formatted = this.contrastMethod === 'apca' ? `Lc ${contrast.toFixed(0)}` : `${contrast.toFixed(1)}:1`;
+        const passes = contrast >= this.targetRatio;
+
+        return `
+            <div class="semantic-role-row"
+                 style="background-color: ${this.getDisplayHex(background)}; color: ${this.getDisplayHex(color)};"
+                 onclick="copyToClipboard('${color.hex}')"
+                 role="button"
+                 tabindex="0"
+                 aria-label="${role} on ${backgroundType} background: ${color.hex}, contrast ${formatted}${passes ? '' : ', below target'}. Click to copy"
+                 onkeypress="if(event.key==='Enter') copyToClipboard('${color.hex}')">
+                <span>${color.hex}</span>
+                <span>${formatted}${passes ? ' ✓' : ''}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Create a note listing color pairs differentiation could not separate
+     * @param {string} backgroundType - 'light' or 'dark'
+     * @returns {string} HTML string for the note, or an empty string
+     */
+    createIndistinctPairsNote(backgroundType) {
+        const pairs = this.differentiationReport[backgroundType] || [];
+        if (pairs.length === 0) return '';
+
+        // Differentiation measures with its own metric, not the CIEDE2000 of the distinctness readout
+        const label = DELTA_E_LABELS[this.deltaEMethod] || 'ΔE';
+        const items = pairs.map(pair =>
+            `<li>Colors ${pair.index1 + 1} &amp; ${pair.index2 + 1}: ${label} ${pair.deltaE} (${pair.vision})</li>`
+        ).join('');
+
+        return `
+            <details class="indistinct-pairs small mt-2">
+                <summary title="Differentiation target, measured with ${label}">⚠ ${pairs.length} pair${pairs.length === 1 ? '' : 's'} below ${label} ${this.minDeltaE} without breaking contrast</summary>
+                <ul class="mb-0">${items}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Swatch background declarations: the sRGB color, overridden by the Display P3 variant
+     * where supported. Simulated vision always paints the sRGB simulation.
+     * @param {ColorUtil} color - Optimized color
+     * @param {Object|null} p3Variant - Display P3 variant
+     * @returns {string} Inline style declarations
+     */
+    getSwatchBackground(color, p3Variant) {
+        const fallback = `background-color: ${this.getDisplayHex(color)}`;
+        if (!p3Variant || !p3Variant.wideGamut || this.cvdSimulation.type !== 'none') {
+            return fallback;
+        }
+        return `${fallback}; background-color: ${p3Variant.css}`;
+    }
+
+    /**
+     * Create the Display P3 variant row with its contrast
+     * @param {Object|null} p3Variant - Variant as {css, fallback, contrast, wideGamut}
+     * @returns {string} HTML string for the P3 row, or an empty string
+     */
+    createP3Info(p3Variant) {
+        if (!p3Variant) return '';
+
+        const formatted = this.contrastMethod === 'apca' ?
+            `Lc ${p3Variant.contrast.toFixed(0)}` :
+            `${p3Variant.contrast.toFixed(1)}:1`;
+        const label = p3Variant.wideGamut ? 'P3' : 'sRGB';
+
+        return `
+            <div class="p3-variant" title="${p3Variant.css} (fallback ${p3Variant.fallback})">
+                <span><span class="p3-badge${p3Variant.wideGamut ? '' : ' p3-badge-muted'}">${label}</span>${p3Variant.wideGamut ? 'Wide gamut' : 'No wider match'}</span>
+                <span>${formatted}</span>
+            </div>
         `;
     }
 
+    /**
+     * Create translucent variant rows (text, disabled, hover overlay) with effective contrast
+     * @param {Object} variants - Variants as {text, disabled, overlay}
+     * @param {string} backgroundColor - Theme background hex
+     * @returns {string} HTML string for translucent variants
+     */
+    createTranslucentInfo(variants, backgroundColor) {
+        if (!variants) return '';
+
+        const isAPCA = this.contrastMethod === 'apca';
+        const labels = { text: 'Text', disabled: 'Disabled', overlay: 'Hover' };
+
+        const rows = Object.entries(labels).map(([key, label]) => {
+            const variant = variants[key];
+            if (!variant) {
+                return `<div class="translucent-row"><span>${label}</span><span>—</span></div>`;
+            }
+
+            const formatted = isAPCA ? `Lc ${variant.contrast.toFixed(0)}` : `${variant.contrast.toFixed(1)}:1`;
+            // Overlays are surfaces: show the tint behind the opaque color's sample text
+            const sample = key === 'overlay' ?
+                `<span class="translucent-sample" style="background-color: ${this.getDisplayHex(variant.effective)};"></span>` :
+                `<span class="translucent-sample" style="background-color: ${this.getDisplayHex(backgroundColor)};"><span style="background-color: ${this.getDisplayHex(variant.effective)};"></span></span>`;
+
+            return `
+                <div class="translucent-row" title="${variant.css} → ${variant.effective}">
+                    <span>${sample}${label} ${Math.round(variant.alpha * 100)}%</span>
+                    <span>${formatted}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="translucent-variants" aria-label="Translucent variants">${rows}</div>`;
+    }
+
+    /**
+     * Get the surfaces a theme's colors are checked against
+     * @param {string} backgroundType - 'light' or 'dark'
+     * @returns {Object[]} Surfaces as {name, hex}
+     */
+    getThemeSurfaces(backgroundType) {
+        const surfaces = this.surfaces[backgroundType];
+        if (Array.isArray(surfaces) && surfaces.length > 0) {
+            return surfaces;
+        }
+        return [{ name: 'background', hex: this.backgrounds[backgroundType] }];
+    }
+
+    /**
+     * Create one row per surface with its contrast, marking the binding surface
+     * @param {ColorUtil} optimizedColor - Optimized color
+     * @param {Object[]} surfaces - Surfaces as {name, hex}
+     * @param {number} targetRatio - Target contrast ratio
+     * @returns {string} HTML string for surface rows
+     */
+    createSurfaceRows(optimizedColor, surfaces, targetRatio) {
+        const isAPCA = this.contrastMethod === 'apca';
+        const contrasts = surfaces.map(surface =>
+            this.measureContrast(optimizedColor, new ColorUtil(surface.hex))
+        );
+        const bindingIndex = contrasts.indexOf(Math.min(...contrasts));
+
+        const rows = surfaces.map((surface, i) => {
+            const formatted = isAPCA ? `Lc ${contrasts[i].toFixed(0)}` : `${contrasts[i].toFixed(1)}:1`;
+            const status = contrasts[i] >= targetRatio ? '✓' : '✗';
+            const isBinding = i === bindingIndex;
+
+            return `
+                <div class="surface-row${isBinding ? ' binding-surface' : ''}"
+                     style="background-color: ${this.getDisplayHex(surface.hex)}; color: ${this.getDisplayHex(optimizedColor)};"
+                     title="${isBinding ? 'Binding constraint' : ''}">
+                    <span class="surface-name">${this.escapeHtml(surface.name)}</span>
+                    <span class="surface-contrast">${formatted} ${status}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="surface-rows" aria-label="Contrast per surface">${rows}</div>`;
+    }
+
+    /**
+     * Escape text for use in HTML content and attribute values
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * Create compact preview section for color card
      * @param {string} backgroundColor - Background color hex
@@ -186,7 +621,7 @@ export class UIComponents {
      */
     createCompactPreviewSection(backgroundColor, optimizedColor) {
         return `
-            <div class="optimized-preview" style="background-color: ${backgroundColor}; color: ${optimizedColor.hex}; border: 1px solid #dee2e6; padding: 0.5rem; border-radius: 0.25rem; margin-bottom: 0.5rem;">
+            <div class="optimized-preview" style="background-color: ${this.getDisplayHex(backgroundColor)}; color: ${this.getDisplayHex(optimizedColor)}; border: 1px solid #dee2e6; padding: 0.5rem; border-radius: 0.25rem; margin-bottom: 0.5rem;">
                 <p class="preview-text preview-heading" style="font-size: 1rem; font-weight: bold; margin: 0 0 0.2rem 0;">Heading</p>
                 <p class="preview-text preview-body" style="font-size: 0.875rem; margin: 0 0 0.2rem 0;">Body text</p>
                 <p class="preview-text preview-small" style="font-size: 0.75rem; margin: 0;">Small text</p>
@@ -202,22 +637,44 @@ export class UIComponents {
      * @returns {string} HTML string for contrast info
      */
     createCompactContrastInfo(optimizedColor, contrast, targetRatio) {
-        const contrastStatus = contrast >= targetRatio ? '✓' : `(${targetRatio}:1)`;
+        const isAPCA = this.contrastMethod === 'apca';
+        const formatted = isAPCA ? `Lc ${contrast.toFixed(0)}` : `${contrast.toFixed(1)}:1`;
+        const target = isAPCA ? `Lc ${targetRatio}` : `${targetRatio}:1`;
+        const contrastStatus = contrast >= targetRatio ? '✓' : `(${target})`;
         
         return `
             <div class="contrast-info">
-                <strong>${optimizedColor.hex}</strong><br>
-                <strong>Contrast:</strong> ${contrast.toFixed(1)}:1 ${contrastStatus}
+                <strong data-color-hex>${optimizedColor.hex}</strong><br>
+                <strong>Contrast:</strong> ${formatted} ${contrastStatus}
             </div>
         `;
     }
 
+    /**
+     * Measure text contrast with the active contrast method
+     * @param {ColorUtil} textColor - Text color
+     * @param {ColorUtil} backgroundColor - Background color
+     * @returns {number} WCAG 2.x ratio or absolute APCA Lc value
+     */
+    measureContrast(textColor, backgroundColor) {
+        if (this.contrastMethod === 'apca') {
+            return Math.abs(textColor.getAPCAContrast(backgroundColor));
+        }
+        return textColor.getContrastRatio(backgroundColor);
+    }
+
     /**
      * Get accessibility level based on contrast ratio
-     * @param {number} contrast - Contrast ratio
-     * @returns {string} Accessibility level ('AAA', 'AA', or 'FAIL')
+     * @param {number} contrast - Contrast ratio (or absolute Lc value in APCA mode)
+     * @returns {string} Accessibility level ('AAA', 'AA', 'Lc 90', 'Lc 75', 'Lc 60' or 'FAIL')
      */
     getAccessibilityLevel(contrast) {
+        if (this.contrastMethod === 'apca') {
+            if (contrast >= 90) return 'Lc 90';
+            if (contrast >= 75) return 'Lc 75';
+            if (contrast >= 60) return 'Lc 60';
+            return 'FAIL';
+        }
         if (contrast >= 7) return 'AAA';
         if (contrast >= 4.5) return 'AA';
         return 'FAIL';
@@ -232,6 +689,9 @@ export class UIComponents {
         const classes = {
             'AAA': 'aaa-badge',
             'AA': 'aa-badge',
+            'Lc 90': 'aaa-badge',
+            'Lc 75': 'aaa-badge',
+            'Lc 60': 'aa-badge',
             'FAIL': 'fail-badge'
         };
         return classes[level] || 'fail-badge';
@@ -247,7 +707,7 @@ export class UIComponents {
         
         // Updated for the new merged layout structure
         this.elements.harmonyInfo.innerHTML = `
-            <div class="harmony-type">${harmonyType.charAt(0).toUpperCase() + harmonyType.slice(1)} Harmony</div>
+            <div class="harmony-type">${getHarmonyLabel(harmonyType)} Harmony</div>
             <div class="harmony-description">${description}</div>
         `;
     }
@@ -291,13 +751,33 @@ export class UIComponents {
      */
     updateBaseColorPreview(color) {
         const preview = document.getElementById('baseColorPreview');
-        const value = document.getElementById('baseColorValue');
+        const value = document.getElementById('baseColorText');
         
         if (preview) {
             preview.style.backgroundColor = color;
         }
-        if (value) {
-            value.textContent = color.toUpperCase();
+        // Don't overwrite what the user is typing (e.g. an oklch() value)
+        if (value && document.activeElement !== value) {
+            value.value = color.toUpperCase();
+            this.setBaseColorError(null);
+        }
+    }
+
+    /**
+     * Show or clear the base color parse error
+     * @param {string|null} message - Error message, or null to clear
+     */
+    setBaseColorError(message) {
+        const input = document.getElementById('baseColorText');
+        const feedback = document.getElementById('baseColorError');
+
+        if (input) {
+            input.classList.toggle('is-invalid', Boolean(message));
+            input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        }
+        if (feedback) {
+            feedback.textContent = message || '';
+            feedback.classList.toggle('d-block', Boolean(message));
         }
     }
 }
\ No newline at end of file
@@ -39,12 +39,15 @@ export class AccessibilityUtils {
         document.addEventListener('keydown', (e) => {
             // Only process shortcuts when not in form inputs
             if (this.isInFormElement(e.target)) return;
+            // Leave browser shortcuts (Ctrl+S, Cmd+E, ...) alone
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
 
             const shortcuts = {
                 'h': () => this.toggleHistory(),
                 'g': () => this.generatePalette(),
-                'e': () => this.exportPalette(e.shiftKey ? 'json' : 'css'),
+                'e': () => e.shiftKey ? this.exportPalette('json') : this.openExportMenu(),
                 'c': () => this.copyFirstColor(),
+                's': () => e.shiftKey ? this.resetVariation() : this.shufflePalette(),
                 '?': () => this.showKeyboardShortcuts(),
                 'Escape': () => this.handleEscape()
             };
@@ -200,6 +203,30 @@ export class AccessibilityUtils {
         }
     }
 
+    /**
+     * Shuffle palette variation via keyboard shortcut
+     */
+    shufflePalette() {
+        if (window.shufflePalette && typeof window.shufflePalette === 'function') {
+            window.shufflePalette();
+        } else {
+            const event = new CustomEvent('shufflePalette');
+            document.dispatchEvent(event);
+        }
+    }
+
+    /**
+     * Reset palette variation via keyboard shortcut
+     */
+    resetVariation() {
+        if (window.resetVariation && typeof window.resetVariation === 'function') {
+            window.resetVariation();
+        } else {
+            const event = new CustomEvent('resetVariation');
+            document.dispatchEvent(event);
+        }
+    }
+
     /**
      * Export palette via keyboard shortcut
      * @param {string} format - Export format
@@ -213,6 +240,24 @@ export class AccessibilityUtils {
         }
     }
 
+    /**
+     * Open the export format menu via keyboard shortcut and focus its first format.
+     * Falls back to a CSS export when the menu or Bootstrap is unavailable.
+     */
+    openExportMenu() {
+        const toggle = document.getElementById('exportMenuToggle');
+        if (!toggle || !window.bootstrap) {
+            this.exportPalette('css');
+            return;
+        }
+
+        window.bootstrap.Dropdown.getOrCreateInstance(toggle).show();
+        const firstItem = toggle.parentElement.querySelector('.dropdown-item');
+        if (firstItem) {
+            firstItem.focus();
+        }
+    }
+
     /**
      * Copy first color via keyboard shortcut
      */
@@ -259,7 +304,9 @@ Navigation:
 Application Shortcuts:
 • H: Toggle palette history panel
 • G: Generate new palette
-• E: Export palette as CSS
+• S: Shuffle (vary the palette with a new seed)
+• Shift+S: Reset to the unvaried palette
+• E: Open the export menu (code, mobile and design tool formats)
 • Shift+E: Export palette as JSON
 • C: Copy first color to clipboard
 • ?: Show this help dialog
@@ -324,7 +371,8 @@ Generated Colors:
 • Text previews showing actual contrast
 
 Export Features:
-• Accessible file export in CSS and JSON formats
+• Accessible file export in CSS, JSON, Tailwind, Design Token, SCSS, Less, Android and iOS formats
+• Swatch files for Adobe tools (.ase), GIMP/Inkscape (.gpl) and Sketch (.sketchpalette)
 • Color information preserved in multiple formats
 • Usage examples included in CSS exports
 
@@ -0,0 +1,181 @@
+/**
+ * WCAG Color Palette Generator v0.6
+ * Import of W3C Design Tokens (DTCG format) written by the tokens export
+ */
+
+import { ColorUtil } from '../core/ColorUtil.js';
+import { normalizeColor, ColorParseError } from '../core/ColorParser.js';
+import { DESIGN_TOKEN_EXTENSION } from './ExportManager.js';
+
+/** Role token groups read back into semantic roles, in display order */
+const ROLE_NAMES = ['primary', 'secondary', 'success', 'warning', 'danger', 'info'];
+
+/**
+ * Settings read back from the root extension: the ones the tokens export writes.
+ * Other keys are dropped; the kept values are still validated by StateManager.updateSettings.
+ */
+const IMPORTED_SETTING_KEYS = [
+    'wcagLevel', 'harmonyType', 'harmonySpace', 'baseColor',
+    'optimizationMode', 'contrastMethod', 'apcaTarget', 'variationSeed'
+];
+
+/** Aliases may point at other aliases; stop after this many hops (cycles) */
+const MAX_ALIAS_DEPTH = 10;
+
+/**
+ * Error thrown when a token file cannot be read as a palette
+ */
+export class DesignTokenError extends Error {
+    /**
+     * @param {string} message - Human readable reason
+     * @param {string} [path] - Token path that failed, e.g. "color.2.light"
+     */
+    constructor(message, path = null) {
+        super(path ? `${message} (${path})` : message);
+        this.name = 'DesignTokenError';
+        this.code = 'INVALID_TOKENS';
+        this.path = path;
+    }
+}
+
+/**
+ * Read a DTCG token file into palettes. Palette colors are the numbered groups under
+ * `color` (`color.1.base`, `color.1.light`, `color.1.dark`, ...); backgrounds and role
+ * groups are optional. Values may be aliases (`{color.1.light}`), CSS color strings or
+ * DTCG color objects with a `hex` member.
+ * @param {Object|string} tokens - Parsed token file, or its JSON text
+ * @returns {Object} {base, lightOptimized, darkOptimized, roles, backgrounds, settings};
+ *                   roles is null and backgrounds/settings are empty when absent
+ * @throws {DesignTokenError} When the file has no readable palette
+ */
+export function parseDesignTokens(tokens) {
+    if (typeof tokens === 'string') {
+        try {
+            tokens = JSON.parse(tokens);
+        } catch (error) {
+            throw new DesignTokenError(`Not valid JSON: ${error.message}`);
+        }
+    }
+    if (!isGroup(tokens) || !isGroup(tokens.color)) {
+        throw new DesignTokenError('No "color" token group found');
+    }
+
+    const group = tokens.color;
+    const indices = Object.keys(group)
+        .filter(name => /^\d+$/.test(name))
+        .map(Number)
+        .sort((a, b) => a - b);
+
+    if (indices.length < 2 || indices.length > 12) {
+        throw new DesignTokenError(`Expected 2 to 12 numbered colors, found ${indices.length}`, 'color');
+    }
+    indices.forEach((number, position) => {
+        if (number !== position + 1) {
+            throw new DesignTokenError('Colors must be numbered from 1 without gaps', `color.${number}`);
+        }
+    });
+
+    const readTheme = (name, theme) => readColor(tokens, `color.${name}.${theme}`);
+    const base = indices.map(number => readTheme(number, 'base'));
+    const lightOptimized = indices.map(number => readTheme(number, 'light'));
+    const darkOptimized = indices.map(number => readTheme(number, 'dark'));
+
+    const roleNames = ROLE_NAMES.filter(role => isGroup(group[role]));
+    const roles = roleNames.length > 0 ?
+        roleNames.map(role => ({
+            role,
+            base: readTheme(role, 'base'),
+            light: readTheme(role, 'light'),
+            dark: readTheme(role, 'dark')
+        })) :
+        null;
+
+    const backgrounds = {};
+    if (isGroup(group.bg)) {
+        ['light', 'dark'].forEach(theme => {
+            if (group.bg[theme] !== undefined) {
+                backgrounds[theme] = readColor(tokens, `color.bg.${theme}`).hex;
+            }
+        });
+    }
+
+    const extension = isGroup(tokens.$extensions) ? tokens.$extensions[DESIGN_TOKEN_EXTENSION] : null;
+    const settings = extension && isGroup(extension.settings) ? readSettings(extension.settings) : {};
+
+    console.log(`Imported ${base.length} colors from design tokens${roles ? ` with ${roles.length} roles` : ''}`);
+    return { base, lightOptimized, darkOptimized, roles, backgrounds, settings };
+}
+
+/**
+ * Keep the known settings of a token file
+ * @param {Object} stored - Settings from the root extension
+ * @returns {Object} Settings limited to IMPORTED_SETTING_KEYS
+ */
+function readSettings(stored) {
+    const settings = {};
+    Object.keys(stored).forEach(key => {
+        if (IMPORTED_SETTING_KEYS.includes(key)) {
+            settings[key] = stored[key];
+        } else {
+            console.warn(`Ignoring unknown setting in design tokens: ${key}`);
+        }
+    });
+    return settings;
+}
+
+/**
+ * Read a color token, following aliases
+ * @param {Object} tokens - Token tree
+ * @param {string} path - Dot-separated token path
+ * @returns {ColorUtil} Token color
+ * @throws {DesignTokenError} When the token is missing, not a color or an alias cannot be resolved
+ */
+function readColor(tokens, path) {
+    let value;
+    let currentPath = path;
+
+    for (let depth = 0; depth <= MAX_ALIAS_DEPTH; depth++) {
+        const token = resolvePath(tokens, currentPath);
+        if (!isGroup(token) || token.$value === undefined) {
+            throw new DesignTokenError(depth === 0 ? 'Missing color token' : 'Alias points to a missing token', currentPath);
+        }
+
+        value = token.$value;
+        const alias = typeof value === 'string' && value.match(/^\{([^{}]+)\}$/);
+        if (!alias) break;
+        if (depth === MAX_ALIAS_DEPTH) {
+            throw new DesignTokenError('Alias chain too long or circular', path);
+        }
+        currentPath = alias[1];
+    }
+
+    // DTCG color objects ({colorSpace, components, hex}) carry an sRGB hex fallback
+    const text = isGroup(value) ? value.hex : value;
+    try {
+        return new ColorUtil(normalizeColor(text));
+    } catch (error) {
+        if (error instanceof ColorParseError) {
+            throw new DesignTokenError(`Not a color value: ${JSON.stringify(value)}`, path);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Look up a token or group by its dot-separated path
+ * @param {Object} tokens - Token tree
+ * @param {string} path - e.g. "color.1.light"
+ * @returns {*} Token, group, or undefined when missing
+ */
+function resolvePath(tokens, path) {
+    return path.split('.').reduce((node, name) => isGroup(node) ? node[name] : undefined, tokens);
+}
+
+/**
+ * Check for a plain object (token or group)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-array object
+ */
+function isGroup(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
\ No newline at end of file
@@ -3,13 +3,20 @@
  * Export functionality for palettes in different formats
  */
 
+import { ColorUtil, DELTA_E_LABELS } from '../core/ColorUtil.js';
+import { createZipArchive } from './ZipArchive.js';
+
+/** Key of this generator's data in design token `$extensions` (reverse domain notation) */
+export const DESIGN_TOKEN_EXTENSION = 'io.github.retroyogi.accessible-color-palette-generator';
+
 /**
  * Export manager for handling palette exports
  */
 export class ExportManager {
     /**
      * Export palette in specified format
-     * @param {string} format - Export format ('css' or 'json')
+     * @param {string} format - Export format ('css', 'json', 'tailwind', 'tokens', 'scss', 'less',
+     *                          'android', 'ios', 'ase', 'gpl' or 'sketchpalette')
      * @param {Object} palettes - Palette data
      * @param {Object} settings - Generation settings
      * @returns {boolean} Success status
@@ -26,6 +33,24 @@ export class ExportManager {
                     return this.exportCSS(palettes, settings);
                 case 'json':
                     return this.exportJSON(palettes, settings);
+                case 'tailwind':
+                    return this.exportTailwind(palettes, settings);
+                case 'tokens':
+                    return this.exportDesignTokens(palettes, settings);
+                case 'scss':
+                    return this.exportSCSS(palettes, settings);
+                case 'less':
+                    return this.exportLess(palettes, settings);
+                case 'android':
+                    return this.exportAndroid(palettes, settings);
+                case 'ios':
+                    return this.exportIOS(palettes, settings);
+                case 'ase':
+                    return this.exportASE(palettes);
+                case 'gpl':
+                    return this.exportGPL(palettes, settings);
+                case 'sketchpalette':
+                    return this.exportSketchPalette(palettes);
                 default:
                     this.showError('Unsupported export format');
                     return false;
@@ -61,27 +86,162 @@ export class ExportManager {
     }
 
     /**
-     * Generate CSS content for export
+     * Export palette as a Tailwind CSS theme: a v3 `tailwind.config.js` and a v4 `@theme` stylesheet
      * @param {Object} palettes - Palette data
      * @param {Object} settings - Generation settings
-     * @returns {string} CSS content
+     * @returns {boolean} Success status
      */
-    generateCSSContent(palettes, settings) {
+    exportTailwind(palettes, settings) {
+        const config = this.generateTailwindConfig(palettes, settings);
+        const theme = this.generateTailwindTheme(palettes, settings);
+        return this.downloadFile(config, 'tailwind.config.js', 'text/javascript') &&
+            this.downloadFile(theme, 'tailwind-theme.css', 'text/css');
+    }
+
+    /**
+     * Export palette as W3C Design Tokens (DTCG format), e.g. for Style Dictionary
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {boolean} Success status
+     */
+    exportDesignTokens(palettes, settings) {
+        const tokens = this.generateDesignTokenContent(palettes, settings);
+        const jsonString = JSON.stringify(tokens, null, 2);
+        return this.downloadFile(jsonString, 'color-palette.tokens.json', 'application/design-tokens+json');
+    }
+
+    /**
+     * Export palette as SCSS variables with a theme map and lookup helpers
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {boolean} Success status
+     */
+    exportSCSS(palettes, settings) {
+        const scss = this.generateSCSSContent(palettes, settings);
+        return this.downloadFile(scss, '_color-palette.scss', 'text/x-scss');
+    }
+
+    /**
+     * Export palette as Less variables with a theme map and lookup mixins
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {boolean} Success status
+     */
+    exportLess(palettes, settings) {
+        const less = this.generateLessContent(palettes, settings);
+        return this.downloadFile(less, 'color-palette.less', 'text/x-less');
+    }
+
+    /**
+     * Export palette for Android as a zip: `res/values/colors.xml` (light theme),
+     * `res/values-night/colors.xml` (dark theme) and a Jetpack Compose `PaletteColors.kt`
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {boolean} Success status
+     */
+    exportAndroid(palettes, settings) {
+        const zip = createZipArchive([
+            { path: 'res/values/colors.xml', content: this.generateAndroidColorsXML(palettes, settings, 'light') },
+            { path: 'res/values-night/colors.xml', content: this.generateAndroidColorsXML(palettes, settings, 'dark') },
+            { path: 'PaletteColors.kt', content: this.generateComposeColors(palettes, settings) }
+        ]);
+        return this.downloadFile(zip, 'color-palette-android.zip', 'application/zip');
+    }
+
+    /**
+     * Export palette for iOS as a zip: a `Palette.xcassets` catalog with one colorset per
+     * color (any and dark appearances) and a SwiftUI `Color+Palette.swift` extension
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {boolean} Success status
+     */
+    exportIOS(palettes, settings) {
+        const zip = createZipArchive([
+            ...this.generateAssetCatalogFiles(palettes, settings),
+            { path: 'Color+Palette.swift', content: this.generateSwiftUIExtension(palettes, settings) }
+        ]);
+        return this.downloadFile(zip, 'color-palette-ios.zip', 'application/zip');
+    }
+
+    /**
+     * Export palette as Adobe Swatch Exchange (.ase) for Photoshop, Illustrator and InDesign
+     * @param {Object} palettes - Palette data
+     * @returns {boolean} Success status
+     */
+    exportASE(palettes) {
+        const ase = this.generateASEContent(palettes);
+        // ASE has no registered media type; Adobe apps go by the extension
+        return this.downloadFile(ase, 'color-palette.ase', 'application/octet-stream');
+    }
+
+    /**
+     * Export palette as a GIMP/Inkscape palette (.gpl)
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {boolean} Success status
+     */
+    exportGPL(palettes, settings) {
+        const gpl = this.generateGPLContent(palettes, settings);
+        return this.downloadFile(gpl, 'color-palette.gpl', 'application/x-gimp-palette');
+    }
+
+    /**
+     * Export palette for the Sketch Palettes plugin (.sketchpalette)
+     * @param {Object} palettes - Palette data
+     * @returns {boolean} Success status
+     */
+    exportSketchPalette(palettes) {
+        const sketchPalette = JSON.stringify(this.generateSketchPaletteContent(palettes), null, 2);
+        return this.downloadFile(sketchPalette, 'color-palette.sketchpalette', 'application/json');
+    }
+
+    /**
+     * Generate the comment header describing how the palette was generated
+     * @param {Object} settings - Generation settings
+     * @returns {string} Block comments, one per line, valid in CSS and JavaScript
+     */
+    generateMetadataHeader(settings) {
         const timestamp = new Date().toISOString();
-        const { base, lightOptimized, darkOptimized } = palettes;
         const { differentiationSettings } = settings;
+        const backgrounds = this.getBackgrounds(settings);
         
-        let css = `/* WCAG Accessible Color Palette */\n`;
-        css += `/* Generated: ${timestamp} */\n`;
-        css += `/* Settings: ${settings.wcagLevel} level, ${settings.harmonyType} harmony */\n`;
-        css += `/* Color Differentiation: ${differentiationSettings.enabled ? 'Enabled' : 'Disabled'} */\n`;
+        let header = `/* WCAG Accessible Color Palette */\n`;
+        header += `/* Generated: ${timestamp} */\n`;
+        header += `/* Settings: ${this.describeContrastTarget(settings)} contrast, ${this.describeHarmony(settings)} harmony${settings.harmonySpace === 'oklch' ? ' (OKLCH hues)' : ''}, ${settings.optimizationMode || 'hsl'} optimization */\n`;
+        if (settings.variationSeed) {
+            header += `/* Variation seed: ${settings.variationSeed} */\n`;
+        }
+        header += `/* Backgrounds: light ${backgrounds.light.hex}, dark ${backgrounds.dark.hex} */\n`;
+        header += `/* Color Differentiation: ${differentiationSettings.enabled ? 'Enabled' : 'Disabled'} */\n`;
         if (differentiationSettings.enabled) {
-            css += `/* Hue Difference: ${differentiationSettings.minHueDifference}°, Luminance: ${differentiationSettings.minLuminanceDifference}% */\n`;
+            header += `/* Hue Difference: ${differentiationSettings.minHueDifference}°, Luminance: ${differentiationSettings.minLuminanceDifference}% */\n`;
+            if (differentiationSettings.minDeltaE) {
+                header += `/* Minimum pairwise ${DELTA_E_LABELS[differentiationSettings.deltaEMethod || 'ok'] || 'ΔE'}: ${differentiationSettings.minDeltaE} (normal vision and simulated CVD) */\n`;
+            }
         }
+        return header;
+    }
+
+    /**
+     * Generate CSS content for export
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} CSS content
+     */
+    generateCSSContent(palettes, settings) {
+        const { base, lightOptimized, darkOptimized } = palettes;
+        const backgrounds = this.getBackgrounds(settings);
+        
+        let css = this.generateMetadataHeader(settings);
         css += '\n';
         
         css += ':root {\n';
         
+        // Backgrounds the palettes were optimized against
+        css += '  /* Backgrounds */\n';
+        css += `  --color-bg-light: ${backgrounds.light.hex};\n`;
+        css += `  --color-bg-dark: ${backgrounds.dark.hex};\n\n`;
+        
         // Base palette
         css += '  /* Base Palette (Original Harmony) */\n';
         base.forEach((color, index) => {
@@ -100,19 +260,692 @@ export class ExportManager {
             css += `  --color-${index + 1}-dark: ${color.hex};\n`;
         });
         
+        // Semantic roles (only when enabled)
+        if (palettes.roles) {
+            css += '\n  /* Semantic Roles */\n';
+            palettes.roles.forEach(({ role, base: roleBase, light, dark }) => {
+                css += `  --color-${role}: ${roleBase.hex};\n`;
+                css += `  --color-${role}-light: ${light.hex};\n`;
+                css += `  --color-${role}-dark: ${dark.hex};\n`;
+            });
+        }
+        
+        // Translucent variants, derived against each theme background
+        if (palettes.translucent) {
+            const suffixes = { text: 'translucent', disabled: 'disabled', overlay: 'hover' };
+            css += '\n  /* Translucent Variants */\n';
+            ['light', 'dark'].forEach(theme => {
+                (palettes.translucent[theme] || []).forEach((variants, index) => {
+                    Object.entries(suffixes).forEach(([key, suffix]) => {
+                        if (variants[key]) {
+                            css += `  --color-${index + 1}-${theme}-${suffix}: ${variants[key].css};\n`;
+                        }
+                    });
+                });
+            });
+        }
+        
+        // Tonal ramps (only when enabled)
+        if (palettes.tonalRamps && palettes.tonalRamps.length > 0) {
+            css += '\n  /* Tonal Ramps */\n';
+            palettes.tonalRamps.forEach(ramp => {
+                ramp.steps.forEach(({ step, color }) => {
+                    css += `  --${ramp.name}-${step}: ${color.hex};\n`;
+                });
+            });
+        }
+        
         css += '}\n\n';
         
+        // Wide-gamut overrides; the sRGB values above remain the fallback
+        if (palettes.p3) {
+            css += this.generateCSSDisplayP3Block(palettes.p3);
+        }
+        
         // Usage examples
-        css += this.generateCSSUsageExamples();
+        css += this.generateCSSUsageExamples(base.length);
         
         return css;
     }
 
+    /**
+     * Generate an @supports block redefining optimized colors as Display P3
+     * @param {Object} p3 - P3 variants per theme ({light, dark})
+     * @returns {string} CSS block, or an empty string when no color gains from P3
+     */
+    generateCSSDisplayP3Block(p3) {
+        let declarations = '';
+        ['light', 'dark'].forEach(theme => {
+            (p3[theme] || []).forEach((variant, index) => {
+                if (variant && variant.wideGamut) {
+                    declarations += `    --color-${index + 1}-${theme}: ${variant.css}; /* fallback ${variant.fallback}, contrast ${variant.contrast} */\n`;
+                }
+            });
+        });
+
+        if (!declarations) return '';
+
+        return '/* Display P3 (wide gamut) variants, each still meeting the contrast target */\n' +
+            '@supports (color: color(display-p3 0 0 0)) {\n' +
+            '  :root {\n' +
+            declarations +
+            '  }\n' +
+            '}\n\n';
+    }
+
+    /**
+     * Generate preprocessor variable declarations named like the CSS export variables
+     * (`$color-1-light` / `@color-1-light`)
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @param {string} prefix - Variable sigil: '$' for SCSS, '@' for Less
+     * @returns {string} Variable declarations grouped under line comments
+     */
+    generatePreprocessorVariables(palettes, settings, prefix) {
+        const { base, lightOptimized, darkOptimized } = palettes;
+        const backgrounds = this.getBackgrounds(settings);
+        const declare = (name, value) => `${prefix}${name}: ${value};\n`;
+
+        let content = '// Backgrounds\n';
+        content += declare('color-bg-light', backgrounds.light.hex);
+        content += declare('color-bg-dark', backgrounds.dark.hex);
+
+        content += '\n// Base Palette (Original Harmony)\n';
+        base.forEach((color, index) => {
+            content += declare(`color-${index + 1}`, color.hex);
+        });
+
+        content += '\n// Light Background Optimized\n';
+        lightOptimized.forEach((color, index) => {
+            content += declare(`color-${index + 1}-light`, color.hex);
+        });
+
+        content += '\n// Dark Background Optimized\n';
+        darkOptimized.forEach((color, index) => {
+            content += declare(`color-${index + 1}-dark`, color.hex);
+        });
+
+        if (palettes.roles) {
+            content += '\n// Semantic Roles\n';
+            palettes.roles.forEach(({ role, base: roleBase, light, dark }) => {
+                content += declare(`color-${role}`, roleBase.hex);
+                content += declare(`color-${role}-light`, light.hex);
+                content += declare(`color-${role}-dark`, dark.hex);
+            });
+        }
+
+        if (palettes.tonalRamps && palettes.tonalRamps.length > 0) {
+            content += '\n// Tonal Ramps\n';
+            palettes.tonalRamps.forEach(ramp => {
+                ramp.steps.forEach(({ step, color }) => {
+                    content += declare(`${ramp.name}-${step}`, color.hex);
+                });
+            });
+        }
+
+        return content;
+    }
+
+    /**
+     * List the theme map keys shared by the SCSS and Less exports
+     * @param {Object} palettes - Palette data
+     * @returns {string[]} Keys such as 'color-1'; each has `<key>-light` and `<key>-dark` variables
+     */
+    getThemeColorNames(palettes) {
+        return [
+            'color-bg',
+            ...palettes.base.map((color, index) => `color-${index + 1}`),
+            ...(palettes.roles || []).map(({ role }) => `color-${role}`)
+        ];
+    }
+
+    /**
+     * Generate SCSS content: variables, a `$palette` map keyed by theme, a `palette-color()`
+     * lookup function and a `theme-color` mixin switching on `prefers-color-scheme`
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} SCSS content
+     */
+    generateSCSSContent(palettes, settings) {
+        const names = this.getThemeColorNames(palettes);
+        const themeMap = (theme) => names.map(name => `    ${name}: $${name}-${theme}`).join(',\n');
+
+        let scss = this.generateMetadataHeader(settings);
+        scss += '\n';
+        scss += '@use "sass:map";\n\n';
+        scss += this.generatePreprocessorVariables(palettes, settings, '$');
+
+        scss += '\n// Theme map: map.get($palette, dark, color-1)\n';
+        scss += '$palette: (\n';
+        scss += `  light: (\n${themeMap('light')}\n  ),\n`;
+        scss += `  dark: (\n${themeMap('dark')}\n  )\n`;
+        scss += ');\n\n';
+
+        scss += `// Look up a theme color: color: palette-color(color-2, dark);
+@function palette-color($name, $theme: light) {
+  @if not map.has-key($palette, $theme) {
+    @error "Unknown theme '#{$theme}', expected light or dark";
+  }
+  @if not map.has-key($palette, $theme, $name) {
+    @error "Unknown palette color '#{$name}'";
+  }
+  @return map.get($palette, $theme, $name);
+}
+
+// Light color by default, dark color when the user prefers a dark scheme:
+// @include theme-color(color, color-1);
+@mixin theme-color($property, $name) {
+  #{$property}: palette-color($name, light);
+
+  @media (prefers-color-scheme: dark) {
+    #{$property}: palette-color($name, dark);
+  }
+}
+
+// Emit one theme as CSS custom properties: :root { @include palette-properties(light); }
+@mixin palette-properties($theme) {
+  @each $name, $color in map.get($palette, $theme) {
+    --#{$name}: #{$color};
+  }
+}
+`;
+        return scss;
+    }
+
+    /**
+     * Generate Less content: variables, a `@palette` map keyed by theme, and `.theme-color`
+     * / `.palette-properties` mixins for theme-aware lookups
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} Less content
+     */
+    generateLessContent(palettes, settings) {
+        const names = this.getThemeColorNames(palettes);
+        const themeMap = (theme) => names.map(name => `    ${name}: @${name}-${theme};`).join('\n');
+
+        let less = this.generateMetadataHeader(settings);
+        less += '\n';
+        less += this.generatePreprocessorVariables(palettes, settings, '@');
+
+        less += '\n// Theme map: @palette[@dark][color-1]\n';
+        less += '@palette: {\n';
+        less += `  @light: {\n${themeMap('light')}\n  }\n`;
+        less += `  @dark: {\n${themeMap('dark')}\n  }\n`;
+        less += '}\n\n';
+
+        less += `// Light color by default, dark color when the user prefers a dark scheme:
+// .theme-color(color; color-1);
+.theme-color(@property; @name) {
+  @{property}: @palette[@light][$@name];
+
+  @media (prefers-color-scheme: dark) {
+    @{property}: @palette[@dark][$@name];
+  }
+}
+
+// Look up a theme color: .palette-color(color-2; dark); color: @palette-color;
+.palette-color(@name; @theme: light) {
+  @palette-color: @palette[@@theme][$@name];
+}
+
+// Emit one theme as CSS custom properties: :root { .palette-properties(light); }
+.palette-properties(@theme) {
+  each(@palette[@@theme], {
+    --@{key}: @value;
+  });
+}
+`;
+        return less;
+    }
+
+    /**
+     * Collect the theme colors shared by the native exports: backgrounds, palette colors and
+     * semantic roles, each with its light and dark theme value
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {Object[]} Entries as {id, light, dark, base}; id is 'bg', '1', '2'... or a role
+     *                     name, and base is null for the background
+     */
+    getNativeColorEntries(palettes, settings) {
+        const { base, lightOptimized, darkOptimized } = palettes;
+        const backgrounds = this.getBackgrounds(settings);
+
+        return [
+            { id: 'bg', light: backgrounds.light, dark: backgrounds.dark, base: null },
+            ...base.map((color, index) => ({
+                id: String(index + 1),
+                light: lightOptimized[index],
+                dark: darkOptimized[index],
+                base: color
+            })),
+            ...(palettes.roles || []).map(({ role, base: roleBase, light, dark }) => ({
+                id: role,
+                light,
+                dark,
+                base: roleBase
+            }))
+        ];
+    }
+
+    /**
+     * Name a native color entry in PascalCase: 'bg' => 'Background', '1' => 'Color1', 'success' => 'Success'
+     * @param {string} id - Entry id from getNativeColorEntries
+     * @returns {string} PascalCase name
+     */
+    getNativeColorName(id) {
+        if (id === 'bg') return 'Background';
+        if (/^\d+$/.test(id)) return `Color${id}`;
+        return id.charAt(0).toUpperCase() + id.slice(1);
+    }
+
+    /**
+     * Generate an Android `colors.xml` for one theme. Both themes use the same resource
+     * names, so `values-night` switches every color with the system dark mode.
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @param {string} theme - 'light' (res/values) or 'dark' (res/values-night)
+     * @returns {string} XML resource file
+     */
+    generateAndroidColorsXML(palettes, settings, theme) {
+        const resourceName = (id) => id === 'bg' ? 'color_bg' : `color_${id}`;
+        const color = (name, hex) => `    <color name="${name}">${hex.toUpperCase()}</color>\n`;
+        const entries = this.getNativeColorEntries(palettes, settings);
+
+        let xml = '<?xml version="1.0" encoding="utf-8"?>\n';
+        xml += this.generateMetadataHeader(settings).replace(/\/\* (.*) \*\//g, '<!-- $1 -->');
+        xml += `<!-- ${theme === 'dark' ? 'Dark theme (values-night)' : 'Light theme (values)'} -->\n`;
+        xml += '<resources>\n';
+        entries.forEach(entry => {
+            xml += color(resourceName(entry.id), entry[theme].hex);
+        });
+
+        // Base colors don't depend on the theme, so only the default resources declare them
+        if (theme === 'light') {
+            xml += '\n    <!-- Base Palette (Original Harmony) -->\n';
+            entries.filter(entry => entry.base).forEach(entry => {
+                xml += color(`${resourceName(entry.id)}_base`, entry.base.hex);
+            });
+        }
+        xml += '</resources>\n';
+        return xml;
+    }
+
+    /**
+     * Generate a Jetpack Compose `PaletteColors` object with Light, Dark and Base colors
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} Kotlin source
+     */
+    generateComposeColors(palettes, settings) {
+        const entries = this.getNativeColorEntries(palettes, settings);
+        const value = (color) => `Color(0xFF${color.hex.slice(1).toUpperCase()})`;
+        const group = (name, theme) => {
+            const lines = entries
+                .filter(entry => entry[theme])
+                .map(entry => `        val ${this.getNativeColorName(entry.id)} = ${value(entry[theme])}`);
+            return `    object ${name} {\n${lines.join('\n')}\n    }\n`;
+        };
+
+        let kotlin = this.generateMetadataHeader(settings);
+        kotlin += '\n';
+        kotlin += 'package com.example.palette // Replace with your app\'s package\n\n';
+        kotlin += 'import androidx.compose.ui.graphics.Color\n\n';
+        kotlin += '/**\n';
+        kotlin += ' * Accessible palette colors. Pick a theme with isSystemInDarkTheme():\n';
+        kotlin += ' * val colors = if (isSystemInDarkTheme()) PaletteColors.Dark else PaletteColors.Light\n';
+        kotlin += ' */\n';
+        kotlin += 'object PaletteColors {\n';
+        kotlin += group('Light', 'light') + '\n';
+        kotlin += group('Dark', 'dark') + '\n';
+        kotlin += group('Base', 'base');
+        kotlin += '}\n';
+        return kotlin;
+    }
+
+    /**
+     * Generate the files of a `Palette.xcassets` asset catalog. Each colorset holds the
+     * light color as the default ("any") appearance and the dark color for dark mode.
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {Object[]} Files as {path, content}
+     */
+    generateAssetCatalogFiles(palettes, settings) {
+        const info = { author: 'xcode', version: 1 };
+        const toJSON = (data) => JSON.stringify(data, null, 2) + '\n';
+        const component = (channel) => `0x${Math.round(channel).toString(16).padStart(2, '0').toUpperCase()}`;
+        const colorValue = (color) => ({
+            'color-space': 'srgb',
+            components: {
+                alpha: '1.000',
+                blue: component(color.rgb.b),
+                green: component(color.rgb.g),
+                red: component(color.rgb.r)
+            }
+        });
+
+        const entries = this.getNativeColorEntries(palettes, settings);
+        const files = [{ path: 'Palette.xcassets/Contents.json', content: toJSON({ info }) }];
+        entries.forEach(entry => {
+            files.push({
+                path: `Palette.xcassets/${this.getNativeColorName(entry.id)}.colorset/Contents.json`,
+                content: toJSON({
+                    colors: [
+                        { color: colorValue(entry.light), idiom: 'universal' },
+                        {
+                            appearances: [{ appearance: 'luminosity', value: 'dark' }],
+                            color: colorValue(entry.dark),
+                            idiom: 'universal'
+                        }
+                    ],
+                    info
+                })
+            });
+        });
+        return files;
+    }
+
+    /**
+     * Generate a SwiftUI `Color` extension. Theme colors load from the asset catalog and
+     * follow dark mode; base colors are fixed sRGB values.
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} Swift source
+     */
+    generateSwiftUIExtension(palettes, settings) {
+        const entries = this.getNativeColorEntries(palettes, settings);
+        // 'Background' => paletteBackground, 'Color1' => palette1
+        const propertyName = (id) => `palette${this.getNativeColorName(id).replace(/^Color(?=\d)/, '')}`;
+        // Rounded like the hex values, so both describe the same color
+        const channel = (value) => (Math.round(value) / 255).toFixed(4);
+
+        let swift = this.generateMetadataHeader(settings);
+        swift += '\n';
+        swift += 'import SwiftUI\n\n';
+        swift += 'extension Color {\n';
+        swift += '    // Adaptive colors from Palette.xcassets (light by default, dark in dark mode)\n';
+        entries.forEach(entry => {
+            swift += `    static let ${propertyName(entry.id)} = Color("${this.getNativeColorName(entry.id)}")\n`;
+        });
+
+        swift += '\n    // Base Palette (Original Harmony)\n';
+        entries.filter(entry => entry.base).forEach(({ id, base }) => {
+            swift += `    static let ${propertyName(id)}Base = Color(.sRGB, red: ${channel(base.rgb.r)}, green: ${channel(base.rgb.g)}, blue: ${channel(base.rgb.b)})\n`;
+        });
+        swift += '}\n';
+        return swift;
+    }
+
+    /**
+     * Group the palette into named swatch groups for the design tool exports
+     * @param {Object} palettes - Palette data
+     * @returns {Object[]} Groups as {name, swatches: [{name, color}]}; semantic roles
+     *                     are added as a fourth group when they are on
+     */
+    getSwatchGroups(palettes) {
+        const group = (name, colors, suffix) => ({
+            name,
+            swatches: colors.map((color, index) => ({ name: `Color ${index + 1}${suffix}`, color }))
+        });
+        const groups = [
+            group('Base Palette', palettes.base, ''),
+            group('Light Background Optimized', palettes.lightOptimized, ' Light'),
+            group('Dark Background Optimized', palettes.darkOptimized, ' Dark')
+        ];
+
+        if (palettes.roles) {
+            groups.push({
+                name: 'Semantic Roles',
+                swatches: palettes.roles.flatMap(({ role, base, light, dark }) => {
+                    const label = role.charAt(0).toUpperCase() + role.slice(1);
+                    return [
+                        { name: label, color: base },
+                        { name: `${label} Light`, color: light },
+                        { name: `${label} Dark`, color: dark }
+                    ];
+                })
+            });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Generate an Adobe Swatch Exchange file: an 'ASEF' v1.0 header, then for each group a
+     * group start block, one RGB color block per swatch and a group end block. Numbers are
+     * big-endian and names are null-terminated UTF-16.
+     * @param {Object} palettes - Palette data
+     * @returns {Uint8Array} ASE file bytes
+     */
+    generateASEContent(palettes) {
+        const GROUP_START = 0xC001;
+        const GROUP_END = 0xC002;
+        const COLOR_ENTRY = 0x0001;
+        const NORMAL_COLOR = 2; // Color type: global 0, spot 1, normal 2
+
+        const groups = this.getSwatchGroups(palettes);
+        const nameSize = (name) => 2 + (name.length + 1) * 2;
+        const swatchCount = groups.reduce((count, group) => count + group.swatches.length, 0);
+        const blockCount = groups.length * 2 + swatchCount;
+        const size = 12 + groups.reduce((total, group) =>
+            total +
+            6 + nameSize(group.name) +                                          // Group start
+            group.swatches.reduce((sum, swatch) => sum + 6 + nameSize(swatch.name) + 4 + 12 + 2, 0) +
+            6,                                                                  // Group end
+        0);
+
+        const view = new DataView(new ArrayBuffer(size));
+        let offset = 0;
+        const writeUint16 = (value) => { view.setUint16(offset, value); offset += 2; };
+        const writeUint32 = (value) => { view.setUint32(offset, value); offset += 4; };
+        const writeName = (name) => {
+            writeUint16(name.length + 1);
+            for (let i = 0; i < name.length; i++) writeUint16(name.charCodeAt(i));
+            writeUint16(0);
+        };
+
+        [0x41, 0x53, 0x45, 0x46].forEach(byte => view.setUint8(offset++, byte)); // 'ASEF'
+        writeUint16(1); // Version 1.0
+        writeUint16(0);
+        writeUint32(blockCount);
+
+        groups.forEach(group => {
+            writeUint16(GROUP_START);
+            writeUint32(nameSize(group.name));
+            writeName(group.name);
+
+            group.swatches.forEach(({ name, color }) => {
+                writeUint16(COLOR_ENTRY);
+                writeUint32(nameSize(name) + 4 + 12 + 2);
+                writeName(name);
+                [0x52, 0x47, 0x42, 0x20].forEach(byte => view.setUint8(offset++, byte)); // 'RGB '
+                ['r', 'g', 'b'].forEach(channel => {
+                    view.setFloat32(offset, Math.round(color.rgb[channel]) / 255);
+                    offset += 4;
+                });
+                writeUint16(NORMAL_COLOR);
+            });
+
+            writeUint16(GROUP_END);
+            writeUint32(0);
+        });
+
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * Generate a GIMP palette (also read by Inkscape and Krita). The format has no groups,
+     * so each group starts with a comment line and swatch names carry the theme.
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} GPL content
+     */
+    generateGPLContent(palettes, settings) {
+        const channel = (value) => String(Math.round(value)).padStart(3, ' ');
+
+        let gpl = 'GIMP Palette\n';
+        gpl += `Name: Accessible Palette (${this.describeContrastTarget(settings)}, ${this.describeHarmony(settings)})\n`;
+        gpl += `Columns: ${palettes.base.length}\n`;
+        gpl += this.generateMetadataHeader(settings).replace(/\/\* (.*) \*\//g, '# $1');
+        this.getSwatchGroups(palettes).forEach(group => {
+            gpl += `#\n# ${group.name}\n`;
+            group.swatches.forEach(({ name, color }) => {
+                gpl += `${channel(color.rgb.r)} ${channel(color.rgb.g)} ${channel(color.rgb.b)}\t${name} ${color.hex.toLowerCase()}\n`;
+            });
+        });
+        return gpl;
+    }
+
+    /**
+     * Generate a Sketch Palettes plugin file (format 2.0). Swatch names are prefixed with
+     * their group ("Dark Background Optimized / Color 1 Dark"), which Sketch shows as folders.
+     * @param {Object} palettes - Palette data
+     * @returns {Object} Sketch palette data
+     */
+    generateSketchPaletteContent(palettes) {
+        const channel = (value) => Math.round(Math.round(value) / 255 * 10000) / 10000;
+        return {
+            compatibleVersion: '2.0',
+            pluginVersion: '2.22',
+            colors: this.getSwatchGroups(palettes).flatMap(group =>
+                group.swatches.map(({ name, color }) => ({
+                    name: `${group.name} / ${name}`,
+                    red: channel(color.rgb.r),
+                    green: channel(color.rgb.g),
+                    blue: channel(color.rgb.b),
+                    alpha: 1
+                }))
+            ),
+            gradients: [],
+            images: []
+        };
+    }
+
+    /**
+     * Collect the Tailwind color scale, named like the CSS export variables without the
+     * `--color-` prefix: `1` gives `text-1`, `text-1-light`, `text-1-dark` and `bg-1-500`.
+     * Maps keep the key order (plain objects would move numeric keys first).
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {Map<string, Map<string, string>>} Color name => shade key ('DEFAULT', 'light', 'dark', '50'...) => hex
+     */
+    generateTailwindColors(palettes, settings) {
+        const { base, lightOptimized, darkOptimized } = palettes;
+        const backgrounds = this.getBackgrounds(settings);
+        const colors = new Map();
+
+        colors.set('bg', new Map([['light', backgrounds.light.hex], ['dark', backgrounds.dark.hex]]));
+
+        base.forEach((color, index) => {
+            const shades = new Map([
+                ['DEFAULT', color.hex],
+                ['light', lightOptimized[index].hex],
+                ['dark', darkOptimized[index].hex]
+            ]);
+            // Numeric shade keys from the tonal ramp (only when enabled)
+            const ramp = palettes.tonalRamps && palettes.tonalRamps[index];
+            if (ramp) {
+                ramp.steps.forEach(({ step, color: stepColor }) => shades.set(String(step), stepColor.hex));
+            }
+            colors.set(String(index + 1), shades);
+        });
+
+        if (palettes.roles) {
+            palettes.roles.forEach(({ role, base: roleBase, light, dark }) => {
+                colors.set(role, new Map([['DEFAULT', roleBase.hex], ['light', light.hex], ['dark', dark.hex]]));
+            });
+        }
+
+        return colors;
+    }
+
+    /**
+     * Generate a Tailwind v3 `tailwind.config.js` extending `theme.colors`
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} JavaScript config module
+     */
+    generateTailwindConfig(palettes, settings) {
+        // Identifiers and integers can stay unquoted; '1' and '500' are valid keys as numbers
+        const key = (name) => /^([A-Za-z_$][\w$]*|\d+)$/.test(name) ? name : `'${name}'`;
+
+        const colorEntries = [...this.generateTailwindColors(palettes, settings)].map(([name, shades]) => {
+            const shadeEntries = [...shades].map(([shade, hex]) => `          ${key(shade)}: '${hex}'`);
+            return `        ${key(name)}: {\n${shadeEntries.join(',\n')}\n        }`;
+        });
+
+        let config = this.generateMetadataHeader(settings);
+        config += '\n';
+        config += `/** @type {import('tailwindcss').Config} */\n`;
+        config += 'module.exports = {\n';
+        config += '  theme: {\n';
+        config += '    extend: {\n';
+        config += '      colors: {\n';
+        config += colorEntries.join(',\n') + '\n';
+        config += '      }\n';
+        config += '    }\n';
+        config += '  }\n';
+        config += '};\n';
+        return config;
+    }
+
+    /**
+     * Generate a Tailwind v4 stylesheet with the colors in an `@theme` block.
+     * The variables match the CSS export, so `--color-1-light` gives `text-1-light`.
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {string} CSS content
+     */
+    generateTailwindTheme(palettes, settings) {
+        let css = this.generateMetadataHeader(settings);
+        css += '\n';
+        css += '@import "tailwindcss";\n\n';
+        css += '@theme {\n';
+        this.generateTailwindColors(palettes, settings).forEach((shades, name) => {
+            shades.forEach((hex, shade) => {
+                css += `  --color-${name}${shade === 'DEFAULT' ? '' : `-${shade}`}: ${hex};\n`;
+            });
+        });
+        css += '}\n';
+        return css;
+    }
+
+    /**
+     * Describe the contrast target the palette was optimized for
+     * @param {Object} settings - Generation settings
+     * @returns {string} e.g. "WCAG AA" or "APCA Lc 60"
+     */
+    describeContrastTarget(settings) {
+        return settings.contrastMethod === 'apca' ?
+            `APCA Lc ${settings.apcaTarget || 60}` :
+            `WCAG ${settings.wcagLevel}`;
+    }
+
+    /**
+     * Describe the harmony with its parameters for export headers
+     * @param {Object} settings - Generation settings
+     * @returns {string} e.g. "triadic", "double-complementary (60°)" or "custom (+35°, +150°, +210°)"
+     */
+    describeHarmony(settings) {
+        if (settings.harmonyType === 'double-complementary') {
+            return `${settings.harmonyType} (${settings.harmonyAngle}°)`;
+        }
+        if (settings.harmonyType === 'custom' && Array.isArray(settings.harmonyOffsets)) {
+            const offsets = settings.harmonyOffsets.map(offset => `${offset >= 0 ? '+' : ''}${offset}°`);
+            return `${settings.harmonyType} (${offsets.join(', ')})`;
+        }
+        return settings.harmonyType;
+    }
+
     /**
      * Generate CSS usage examples
+     * @param {number} count - Number of colors in the palette
      * @returns {string} CSS usage examples
      */
-    generateCSSUsageExamples() {
+    generateCSSUsageExamples(count = 5) {
+        // Palettes can be as small as two colors; only reference variables that exist
+        const secondaryLight = count >= 3 ? '\n.light-theme .secondary { color: var(--color-3-light); }' : '';
+        const secondaryDark = count >= 3 ? '\n.dark-theme .secondary { color: var(--color-3-dark); }' : '';
+
         return `/* Usage Examples */
 
 /* Basic color usage */
@@ -121,21 +954,19 @@ export class ExportManager {
 
 /* Light theme (white/light backgrounds) */
 .light-theme {
-  background-color: #ffffff;
+  background-color: var(--color-bg-light);
   color: var(--color-1-light);
 }
 
-.light-theme .accent { color: var(--color-2-light); }
-.light-theme .secondary { color: var(--color-3-light); }
+.light-theme .accent { color: var(--color-2-light); }${secondaryLight}
 
 /* Dark theme (dark backgrounds) */
 .dark-theme {
-  background-color: #2c3e50;
+  background-color: var(--color-bg-dark);
   color: var(--color-1-dark);
 }
 
-.dark-theme .accent { color: var(--color-2-dark); }
-.dark-theme .secondary { color: var(--color-3-dark); }
+.dark-theme .accent { color: var(--color-2-dark); }${secondaryDark}
 
 /* Component examples */
 .button-primary {
@@ -158,7 +989,7 @@ export class ExportManager {
   :root {
     --text-primary: var(--color-1-dark);
     --text-secondary: var(--color-2-dark);
-    --bg-primary: #2c3e50;
+    --bg-primary: var(--color-bg-dark);
   }
 }
 
@@ -166,7 +997,7 @@ export class ExportManager {
   :root {
     --text-primary: var(--color-1-light);
     --text-secondary: var(--color-2-light);
-    --bg-primary: #ffffff;
+    --bg-primary: var(--color-bg-light);
   }
 }
 `;
@@ -180,6 +1011,7 @@ export class ExportManager {
      */
     generateJSONContent(palettes, settings) {
         const { base, lightOptimized, darkOptimized } = palettes;
+        const backgrounds = this.getBackgrounds(settings);
         
         return {
             metadata: {
@@ -187,8 +1019,19 @@ export class ExportManager {
                 generator: 'WCAG Color Palette Generator v0.6',
                 wcagLevel: settings.wcagLevel,
                 harmonyType: settings.harmonyType,
+                ...(settings.harmonyType === 'double-complementary' && { harmonyAngle: settings.harmonyAngle }),
+                ...(settings.harmonyType === 'custom' && { harmonyOffsets: settings.harmonyOffsets }),
+                harmonySpace: settings.harmonySpace || 'hsl',
+                ...(settings.variationSeed && { variationSeed: settings.variationSeed }),
                 baseColor: settings.baseColor,
                 paletteSize: settings.paletteSize,
+                optimizationMode: settings.optimizationMode || 'hsl',
+                contrastMethod: settings.contrastMethod || 'wcag2',
+                apcaTarget: settings.apcaTarget,
+                backgrounds: {
+                    light: backgrounds.light.hex,
+                    dark: backgrounds.dark.hex
+                },
                 differentiationSettings: settings.differentiationSettings
             },
             palettes: {
@@ -196,9 +1039,21 @@ export class ExportManager {
                 lightOptimized: this.convertPaletteToJSON(lightOptimized, 'light-optimized'),
                 darkOptimized: this.convertPaletteToJSON(darkOptimized, 'dark-optimized')
             },
+            ...(palettes.translucent && {
+                translucentVariants: palettes.translucent
+            }),
+            ...(palettes.tonalRamps && palettes.tonalRamps.length > 0 && {
+                tonalRamps: this.convertTonalRampsToJSON(palettes.tonalRamps)
+            }),
+            ...(palettes.p3 && {
+                displayP3Variants: palettes.p3
+            }),
+            ...(palettes.roles && {
+                semanticRoles: this.convertRolesToJSON(palettes.roles, backgrounds, settings)
+            }),
             accessibility: {
-                contrastRatios: this.calculateContrastRatios(lightOptimized, darkOptimized),
-                wcagCompliance: this.checkWCAGCompliance(lightOptimized, darkOptimized, settings.wcagLevel),
+                contrastRatios: this.calculateContrastRatios(lightOptimized, darkOptimized, backgrounds, settings),
+                contrastCompliance: this.checkContrastCompliance(lightOptimized, darkOptimized, backgrounds, settings),
                 differentiationApplied: settings.differentiationSettings.enabled,
                 differentiationSettings: settings.differentiationSettings
             },
@@ -210,6 +1065,114 @@ export class ExportManager {
         };
     }
 
+    /**
+     * Generate a Design Tokens Community Group (DTCG) token file. Colors live under `color`
+     * (`color.1.base`, `color.1.light`, `color.1.dark`, `color.bg.light`, roles by name);
+     * `theme.light` and `theme.dark` alias the optimized colors of each theme, so a
+     * theme can be built from one group. Light and dark tokens carry their contrast against
+     * the theme background in `$extensions`, in the palette's contrast method: the WCAG 2
+     * ratio and level, or the APCA Lc value and Lc target.
+     * @param {Object} palettes - Palette data
+     * @param {Object} settings - Generation settings
+     * @returns {Object} DTCG token tree
+     */
+    generateDesignTokenContent(palettes, settings) {
+        const { base, lightOptimized, darkOptimized } = palettes;
+        const backgrounds = this.getBackgrounds(settings);
+        const measure = (color, theme) => this.measureContrast(color, backgrounds[theme], settings);
+        const themeToken = (color, theme, description) => {
+            const result = measure(color, theme);
+            const contrast = result.method === 'apca' ?
+                { contrastMethod: 'apca', lc: result.lc, lcTarget: result.target } :
+                { contrastMethod: 'wcag2', contrast: result.ratio, wcagLevel: result.level };
+            return {
+                $value: color.hex,
+                $description: description,
+                $extensions: {
+                    [DESIGN_TOKEN_EXTENSION]: { ...contrast, background: `{color.bg.${theme}}` }
+                }
+            };
+        };
+        const baseToken = (color, description) => {
+            const light = measure(color, 'light');
+            const dark = measure(color, 'dark');
+            const contrast = light.method === 'apca' ?
+                { contrastMethod: 'apca', lc: { light: light.lc, dark: dark.lc }, lcTarget: light.target } :
+                {
+                    contrastMethod: 'wcag2',
+                    contrast: { light: light.ratio, dark: dark.ratio },
+                    wcagLevel: { light: light.level, dark: dark.level }
+                };
+            return {
+                $value: color.hex,
+                $description: description,
+                $extensions: {
+                    [DESIGN_TOKEN_EXTENSION]: contrast
+                }
+            };
+        };
+
+        const color = {
+            $type: 'color',
+            bg: {
+                light: { $value: backgrounds.light.hex, $description: 'Light theme background' },
+                dark: { $value: backgrounds.dark.hex, $description: 'Dark theme background' }
+            }
+        };
+        const theme = {
+            $type: 'color',
+            light: { bg: { $value: '{color.bg.light}' } },
+            dark: { bg: { $value: '{color.bg.dark}' } }
+        };
+        const addThemeAliases = (name) => {
+            theme.light[name] = { $value: `{color.${name}.light}` };
+            theme.dark[name] = { $value: `{color.${name}.dark}` };
+        };
+
+        base.forEach((baseColor, index) => {
+            const name = String(index + 1);
+            color[name] = {
+                base: baseToken(baseColor, `Color ${name}, original harmony`),
+                light: themeToken(lightOptimized[index], 'light', `Color ${name} optimized for the light background`),
+                dark: themeToken(darkOptimized[index], 'dark', `Color ${name} optimized for the dark background`)
+            };
+            addThemeAliases(name);
+        });
+
+        if (palettes.roles) {
+            palettes.roles.forEach(({ role, base: roleBase, light, dark }) => {
+                color[role] = {
+                    base: baseToken(roleBase, `${role} role`),
+                    light: themeToken(light, 'light', `${role} role on the light background`),
+                    dark: themeToken(dark, 'dark', `${role} role on the dark background`)
+                };
+                addThemeAliases(role);
+            });
+        }
+
+        return {
+            $description: `Accessible color palette: ${this.describeContrastTarget(settings)} contrast, ${this.describeHarmony(settings)} harmony`,
+            $extensions: {
+                [DESIGN_TOKEN_EXTENSION]: {
+                    generated: new Date().toISOString(),
+                    generator: 'WCAG Color Palette Generator v0.6',
+                    settings: {
+                        wcagLevel: settings.wcagLevel,
+                        harmonyType: settings.harmonyType,
+                        harmonySpace: settings.harmonySpace || 'hsl',
+                        baseColor: settings.baseColor,
+                        optimizationMode: settings.optimizationMode || 'hsl',
+                        contrastMethod: settings.contrastMethod || 'wcag2',
+                        apcaTarget: settings.apcaTarget,
+                        ...(settings.variationSeed && { variationSeed: settings.variationSeed })
+                    }
+                }
+            },
+            color,
+            theme
+        };
+    }
+
     /**
      * Convert palette to JSON format
      * @param {ColorUtil[]} palette - Color palette
@@ -236,24 +1199,106 @@ export class ExportManager {
     }
 
     /**
-     * Calculate contrast ratios for accessibility report
+     * Convert tonal ramps to JSON format
+     * @param {Object[]} tonalRamps - Ramps as {name, base, steps}
+     * @returns {Object[]} JSON ramp data
+     */
+    convertTonalRampsToJSON(tonalRamps) {
+        return tonalRamps.map(ramp => ({
+            name: ramp.name,
+            base: ramp.base,
+            steps: ramp.steps.map(({ step, color, contrast, textSafe }) => ({
+                step,
+                hex: color.hex,
+                contrast: {
+                    light: Math.round(contrast.light * 100) / 100,
+                    dark: Math.round(contrast.dark * 100) / 100
+                },
+                textSafe
+            }))
+        }));
+    }
+
+    /**
+     * Convert semantic roles to JSON format, keyed by role
+     * @param {Object[]} roles - Roles as {role, base, light, dark}
+     * @param {Object} backgrounds - Light and dark background colors
+     * @param {Object} settings - Generation settings (contrast method)
+     * @returns {Object} Role data as {primary: {base, light, dark, contrast}, ...}; contrast holds
+     *                   the method and a ratio (WCAG 2) or Lc value (APCA) per theme
+     */
+    convertRolesToJSON(roles, backgrounds, settings) {
+        const value = (result) => result.method === 'apca' ? result.lc : result.ratio;
+        return Object.fromEntries(roles.map(({ role, base, light, dark }) => [role, {
+            base: base.hex,
+            light: light.hex,
+            dark: dark.hex,
+            contrast: {
+                method: settings.contrastMethod === 'apca' ? 'apca' : 'wcag2',
+                light: value(this.measureContrast(light, backgrounds.light, settings)),
+                dark: value(this.measureContrast(dark, backgrounds.dark, settings))
+            }
+        }]));
+    }
+
+    /**
+     * Calculate contrast values for accessibility report, in the palette's contrast method
      * @param {ColorUtil[]} lightOptimized - Light optimized palette
      * @param {ColorUtil[]} darkOptimized - Dark optimized palette
-     * @returns {Object} Contrast ratio data
+     * @param {Object} backgrounds - Light and dark background colors
+     * @param {Object} settings - Generation settings (contrast method)
+     * @returns {Object} Contrast data; entries hold a ratio (WCAG 2) or an Lc value (APCA)
      */
-    calculateContrastRatios(lightOptimized, darkOptimized) {
-        const whiteColor = { getLuminance: () => 1 };
-        const darkColor = { getLuminance: () => 0.133 }; // #2c3e50 approximate
-        
+    calculateContrastRatios(lightOptimized, darkOptimized, backgrounds, settings) {
+        const entry = (color, index, background) => {
+            const result = this.measureContrast(color, background, settings);
+            return result.method === 'apca' ?
+                { colorIndex: index + 1, lc: result.lc } :
+                { colorIndex: index + 1, ratio: result.ratio };
+        };
         return {
-            lightBackground: lightOptimized.map((color, index) => ({
-                colorIndex: index + 1,
-                ratio: this.calculateContrast(color.getLuminance(), whiteColor.getLuminance())
-            })),
-            darkBackground: darkOptimized.map((color, index) => ({
-                colorIndex: index + 1,
-                ratio: this.calculateContrast(color.getLuminance(), darkColor.getLuminance())
-            }))
+            method: settings.contrastMethod === 'apca' ? 'apca' : 'wcag2',
+            lightBackground: lightOptimized.map((color, index) => entry(color, index, backgrounds.light)),
+            darkBackground: darkOptimized.map((color, index) => entry(color, index, backgrounds.dark))
+        };
+    }
+
+    /**
+     * Measure a color against a background with the palette's contrast method
+     * @param {ColorUtil} color - Text color
+     * @param {ColorUtil} background - Background color
+     * @param {Object} settings - Generation settings (contrastMethod, wcagLevel, apcaTarget)
+     * @returns {Object} WCAG 2: {method: 'wcag2', ratio, level, target, compliant};
+     *                   APCA: {method: 'apca', lc, target, compliant} with lc as an absolute value
+     */
+    measureContrast(color, background, settings) {
+        if (settings.contrastMethod === 'apca') {
+            const lc = Math.abs(color.getAPCAContrast(background));
+            const target = settings.apcaTarget || 60;
+            return { method: 'apca', lc: Math.round(lc * 10) / 10, target, compliant: lc >= target };
+        }
+
+        const ratio = this.calculateContrast(color.getLuminance(), background.getLuminance());
+        const target = settings.wcagLevel === 'AAA' ? 7 : 4.5;
+        return {
+            method: 'wcag2',
+            ratio: Math.round(ratio * 100) / 100,
+            level: ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : 'FAIL',
+            target,
+            compliant: ratio >= target
+        };
+    }
+
+    /**
+     * Resolve the light and dark background colors from settings
+     * @param {Object} settings - Generation settings
+     * @returns {Object} Light and dark background ColorUtil instances
+     */
+    getBackgrounds(settings) {
+        const isHex = (value) => typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value);
+        return {
+            light: new ColorUtil(isHex(settings.lightBackground) ? settings.lightBackground : '#ffffff'),
+            dark: new ColorUtil(isHex(settings.darkBackground) ? settings.darkBackground : '#2c3e50')
         };
     }
 
@@ -270,38 +1315,24 @@ export class ExportManager {
     }
 
     /**
-     * Check WCAG compliance for palettes
+     * Check palettes against the contrast target of the palette's contrast method
      * @param {ColorUtil[]} lightOptimized - Light optimized palette
      * @param {ColorUtil[]} darkOptimized - Dark optimized palette
-     * @param {string} wcagLevel - WCAG level
-     * @returns {Object} Compliance data
+     * @param {Object} backgrounds - Light and dark background colors
+     * @param {Object} settings - Generation settings (contrastMethod, wcagLevel, apcaTarget)
+     * @returns {Object} Compliance data; entries hold a ratio and WCAG level (WCAG 2) or an Lc value (APCA)
      */
-    checkWCAGCompliance(lightOptimized, darkOptimized, wcagLevel) {
-        const requiredRatio = wcagLevel === 'AAA' ? 7 : 4.5;
-        const whiteColor = { getLuminance: () => 1 };
-        const darkColor = { getLuminance: () => 0.133 };
-        
-        const lightCompliance = lightOptimized.map((color, index) => {
-            const ratio = this.calculateContrast(color.getLuminance(), whiteColor.getLuminance());
-            return {
-                colorIndex: index + 1,
-                compliant: ratio >= requiredRatio,
-                ratio: ratio,
-                level: ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : 'FAIL'
-            };
-        });
-        
-        const darkCompliance = darkOptimized.map((color, index) => {
-            const ratio = this.calculateContrast(color.getLuminance(), darkColor.getLuminance());
-            return {
-                colorIndex: index + 1,
-                compliant: ratio >= requiredRatio,
-                ratio: ratio,
-                level: ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : 'FAIL'
-            };
-        });
+    checkContrastCompliance(lightOptimized, darkOptimized, backgrounds, settings) {
+        const check = (color, index, background) => {
+            const { method, target, ...result } = this.measureContrast(color, background, settings);
+            return { colorIndex: index + 1, ...result };
+        };
+        const lightCompliance = lightOptimized.map((color, index) => check(color, index, backgrounds.light));
+        const darkCompliance = darkOptimized.map((color, index) => check(color, index, backgrounds.dark));
         
         return {
+            method: settings.contrastMethod === 'apca' ? 'apca' : 'wcag2',
+            target: settings.contrastMethod === 'apca' ? (settings.apcaTarget || 60) : (settings.wcagLevel === 'AAA' ? 7 : 4.5),
             lightBackground: lightCompliance,
             darkBackground: darkCompliance,
             overallCompliant: {
@@ -369,7 +1400,7 @@ export class ExportManager {
 
     /**
      * Download file helper function
-     * @param {string} content - File content
+     * @param {string|Uint8Array} content - File content (text, or bytes for binary formats)
      * @param {string} filename - File name
      * @param {string} mimeType - MIME type
      * @returns {boolean} Success status
@@ -213,7 +213,8 @@ export class HistoryManager {
      */
     formatSettingsInfo(settings) {
         const diffStatus = settings.differentiationSettings?.enabled ? 'diff' : 'no-diff';
-        return `${settings.harmonyType} • ${settings.wcagLevel} • ${settings.paletteSize} colors • ${diffStatus}`;
+        const variation = settings.variationSeed ? ` • variation #${settings.variationSeed}` : '';
+        return `${settings.harmonyType} • ${settings.wcagLevel} • ${settings.paletteSize} colors • ${diffStatus}${variation}`;
     }
 
     /**
@@ -311,9 +312,15 @@ export class HistoryManager {
             wcagLevel: document.getElementById('wcagLevel'),
             harmonyType: document.getElementById('harmonyType'),
             baseColor: document.getElementById('baseColor'),
+            optimizationMode: document.getElementById('optimizationMode'),
+            contrastMethod: document.getElementById('contrastMethod'),
+            apcaTarget: document.getElementById('apcaTarget'),
+            lightBackground: document.getElementById('lightBackground'),
+            darkBackground: document.getElementById('darkBackground'),
             differentiationEnabled: document.getElementById('differentiationEnabled'),
             minHueDifference: document.getElementById('minHueDifference'),
-            minLuminanceDifference: document.getElementById('minLuminanceDifference')
+            minLuminanceDifference: document.getElementById('minLuminanceDifference'),
+            deltaEMethod: document.getElementById('deltaEMethod')
         };
 
         // Update basic settings
@@ -334,6 +341,10 @@ export class HistoryManager {
             if (elements.differentiationEnabled) {
                 elements.differentiationEnabled.checked = diff.enabled;
             }
+
+            if (elements.deltaEMethod) {
+                elements.deltaEMethod.value = diff.deltaEMethod || 'ok';
+            }
             
             if (elements.minHueDifference) {
                 elements.minHueDifference.value = diff.minHueDifference;
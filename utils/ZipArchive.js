@@ -0,0 +1,122 @@
+/**
+ * WCAG Color Palette Generator v0.6
+ * Minimal ZIP writer for multi-file exports (stored entries, no compression)
+ */
+
+/** CRC-32 lookup table (IEEE polynomial, reflected) */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Bundle files into a ZIP archive. Entries are stored uncompressed: exported palette
+ * files are small, and stored entries open in every archive tool.
+ * @param {Object[]} files - Files as {path, content}; content is a string (written as UTF-8)
+ *                           or a Uint8Array. Paths use forward slashes, e.g. "res/values/colors.xml"
+ * @param {Date} [date] - Modification time recorded for every entry
+ * @returns {Uint8Array} ZIP archive bytes
+ */
+export function createZipArchive(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ path, content }) => {
+        const name = encoder.encode(path);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Local file header signature
+        local.setUint16(4, 20, true);           // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);       // Flags: UTF-8 names
+        local.setUint16(8, 0, true);            // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // Extra, comment, disk number, internal and external attributes stay 0
+        central.setUint32(42, offset, true);    // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);       // Entries on this disk
+    end.setUint16(10, files.length, true);      // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // Central directory offset
+
+    return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Calculate the CRC-32 checksum of some bytes
+ * @param {Uint8Array} data - Bytes
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields (local time, 2-second precision)
+ * @param {Date} date - Date to convert (clamped to the DOS epoch, 1980)
+ * @returns {Object} {time, day} 16-bit fields
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} parts - Arrays to join in order
+ * @returns {Uint8Array} Combined bytes
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
\ No newline at end of file